@@ -3,50 +3,284 @@ import 'cypress';
 
 // Declare the module for the plugin
 declare module '@asaltech/cypress-rtm-plugin' {
-  export interface RTMConfig {
-    userStoriesPath?: string;
-    requirementsPath?: string;
+  export type RequirementType =
+    'functional' | 'security' | 'performance' | 'accessibility' | 'compliance' | 'technical' | 'infrastructure';
+  export type TestType =
+    'unit' | 'integration' | 'e2e' | 'api' | 'performance' | 'security' | 'accessibility' | 'smoke';
+  export type RequirementPriority = 'p0-critical' | 'p1-high' | 'p2-medium' | 'p3-low';
+  export type RequirementStatus = 'draft' | 'approved' | 'implemented' | 'deprecated' | 'rejected';
+  export type TestPriority = 'p1-must-run' | 'p2-high-value' | 'p3-nice-to-have' | 'p4-edge-cases';
+
+  export interface TaxonomyEntry<V extends string = string> {
+    value: V;
+    label?: string;
+    color?: string;
+    default?: boolean;
+  }
+
+  export type TaxonomyItem<V extends string = string> = V | TaxonomyEntry<V>;
+
+  export interface TaxonomyDefinition<V extends string = string> {
+    extend?: readonly TaxonomyItem<V>[];
+    replace?: readonly TaxonomyItem<V>[];
+  }
+
+  export interface TaxonomiesConfig {
+    requirementTypes?: TaxonomyDefinition;
+    testTypes?: TaxonomyDefinition;
+    requirementPriorities?: TaxonomyDefinition;
+    testPriorities?: TaxonomyDefinition;
+  }
+
+  type TaxonomyItemValue<I> = I extends string ? I : I extends { value: infer V extends string } ? V : never;
+
+  type TaxonomyValue<D, BuiltIn extends string> =
+    D extends { replace: readonly (infer I)[] } ? TaxonomyItemValue<I> :
+    D extends { extend: readonly (infer I)[] } ? BuiltIn | TaxonomyItemValue<I> :
+    BuiltIn;
+
+  type TaxonomyOf<T, K extends keyof TaxonomiesConfig> = T extends { [P in K]?: infer D } ? D : undefined;
+
+  /**
+   * Values allowed by a taxonomy configuration, derived from its `extend` and `replace` entries
+   */
+  export interface TaxonomyValues<T extends TaxonomiesConfig = {}> {
+    requirementType: TaxonomyValue<TaxonomyOf<T, 'requirementTypes'>, RequirementType>;
+    testType: TaxonomyValue<TaxonomyOf<T, 'testTypes'>, TestType>;
+    requirementPriority: TaxonomyValue<TaxonomyOf<T, 'requirementPriorities'>, RequirementPriority>;
+    testPriority: TaxonomyValue<TaxonomyOf<T, 'testPriorities'>, TestPriority>;
+  }
+
+  export type ResolvedTaxonomies = Required<Record<keyof TaxonomiesConfig, Array<TaxonomyEntry & { label: string; default: boolean }>>>;
+
+  export interface QualityGates {
+    minCoverage?: number;
+    minPassingTests?: Record<string, number>;
+    noFailingTests?: string[];
+    maxUncoveredUserStories?: number;
+  }
+
+  export interface QualityGateViolation {
+    gate: keyof QualityGates;
+    message: string;
+    requirementId?: string;
+    [key: string]: any;
+  }
+
+  export interface QualityGateResult {
+    passed: boolean;
+    evaluated: Array<keyof QualityGates>;
+    violations: QualityGateViolation[];
+  }
+
+  export type RecordLoader = (
+    content: string,
+    options: { file: string; [key: string]: any }
+  ) => Array<Record<string, any>> | Promise<Array<Record<string, any>>>;
+
+  export interface CSVOptions {
+    columns?: Record<string, string>;
+    listSeparator?: string;
+  }
+
+  export interface ReqIFOptions {
+    attributes?: Partial<Record<'id' | 'title' | 'type' | 'priority' | 'description', string>>;
+    values?: Record<string, Record<string, string>>;
+    specObjectTypes?: string[];
+  }
+
+  export interface GherkinOptions {
+    storyTagPattern?: string;
+    requirementTagPattern?: string;
+  }
+
+  export interface RiskOptions {
+    requirementWeights?: Record<string, number>;
+    testWeights?: Record<string, number>;
+    hotspotPriorities?: string[];
+    lowPriorityTests?: string[];
+  }
+
+  export interface RequirementCoverage {
+    status: 'covered' | 'partial' | 'uncovered';
+    requiredTestTypes?: string[];
+    tests: string[];
+    conformingTests: string[];
+  }
+
+  export interface SchemaExtension {
+    required?: string[];
+    properties?: Record<string, object>;
+    [keyword: string]: any;
+  }
+
+  export interface ExternalResults {
+    path: string | string[];
+    type?: string;
+  }
+
+  export interface ImportResult {
+    files: string[];
+    testCases: string[];
+    unlinked: number;
+    errors: string[];
+  }
+
+  export interface RTMConfig<T extends TaxonomiesConfig = {}> {
+    userStoriesPath?: string | string[];
+    requirementsPath?: string | string[];
+    manualTestsPath?: string | string[];
+    externalResults?: ExternalResults | ExternalResults[];
+    loaders?: Record<string, RecordLoader>;
+    csv?: CSVOptions;
+    reqif?: ReqIFOptions;
+    gherkin?: GherkinOptions;
     outputPath?: string;
-    validateLinks?: boolean;
+    sourceMapPath?: string;
+    baselinePath?: string;
+    validateLinks?: boolean | 'strict' | 'warn' | 'off';
+    historySize?: number;
+    qualityGates?: QualityGates;
+    risk?: RiskOptions;
+    typeRules?: Partial<Record<
+      TaxonomyValues<T>['requirementType'],
+      TaxonomyValues<T>['testType'] | readonly TaxonomyValues<T>['testType'][]
+    >>;
+    taxonomies?: T;
+    schemas?: {
+      requirement?: SchemaExtension;
+      userStory?: SchemaExtension;
+      testCase?: SchemaExtension;
+    };
   }
 
-  export interface TestCase {
+  export interface TestCase<T extends TaxonomiesConfig = {}> {
     id: string;
     title: string;
-    type: string;
-    priority: string;
+    type: TaxonomyValues<T>['testType'];
+    priority: TaxonomyValues<T>['testPriority'];
+    spec?: string;
+    titlePath?: string[];
+    suites?: string[];
     requirements?: string[];
     userStories?: string[];
+    criteria?: Record<string, Array<string | number>>;
+    unresolvedLinks?: { requirements?: string[]; userStories?: string[] };
     automated?: boolean;
+    origin?: 'cypress' | 'manual' | 'imported';
     tags?: string[];
     dependencies?: string[];
     description?: string;
     timestamp?: string;
-    status?: 'passed' | 'failed' | 'skipped';
+    status?: 'passed' | 'failed' | 'skipped' | 'not-run';
+    tester?: string;
+    executedAt?: string;
+    duration?: number;
+    attempts?: number;
+    error?: string;
+    suspectRequirements?: string[];
+  }
+
+  export interface TestFilter {
+    requirements?: string[];
+    userStories?: string[];
+    tags?: string[];
+    priorities?: string[];
+  }
+
+  export interface SuspectTest {
+    testId: string;
+    title: string;
+    verifiedAt: string;
+    requirements: string[];
+  }
+
+  export interface BaselineChanges {
+    previous: { runId: string; timestamp: string } | null;
+    added: string[];
+    removed: string[];
+    modified: string[];
+    suspectTests: SuspectTest[];
   }
 
-  export class CypressRTM {
-    constructor(config?: RTMConfig);
+  export class CypressRTM<const T extends TaxonomiesConfig = {}> {
+    constructor(config?: RTMConfig<T>);
+    taxonomies: ResolvedTaxonomies;
+    filter?: TestFilter;
     init(): Promise<boolean>;
-    generateReports(): Promise<void>;
+    validateRequirement(requirement: Record<string, any>): boolean;
+    validateTestCase(testCase: Record<string, any>): boolean;
+    getTaxonomyValues(name: keyof TaxonomiesConfig): string[];
+    getDefaultTaxonomyValue(name: keyof TaxonomiesConfig): string;
+    generateReports(runResults?: CypressCommandLine.CypressRunResult): Promise<void>;
+    importResults(sourcePaths: string | string[], options?: { type?: TaxonomyValues<T>['testType'] }): Promise<ImportResult>;
+    reverifyTests(testIds: string[]): Promise<Array<{ testId: string; requirements: string[] }>>;
+    getRequirementCoverage(reqId: string): RequirementCoverage;
+    isRequirementCovered(reqId: string): boolean;
+    isRequirementInScope(reqId: string): boolean;
+    isRequirementRetired(reqId: string): boolean;
+    isRequirementGroup(reqId: string): boolean;
+    getRequirementsInScope(): Array<Record<string, any>>;
+    evaluateQualityGates(): QualityGateResult;
+    assertQualityGates(): QualityGateResult;
   }
 
   export class RTMTasks {
-    constructor(rtm: CypressRTM);
+    constructor(rtm: CypressRTM<any>);
     register(on: Cypress.PluginEvents): void;
   }
 
-  export function addCommands(rtm: CypressRTM): void;
+  export interface ScanResult {
+    files: string[];
+    testCases: string[];
+    warnings: string[];
+    errors: string[];
+  }
+
+  export class RTMScanner {
+    constructor(rtm: CypressRTM<any>);
+    scan(patterns?: string | string[]): Promise<ScanResult>;
+  }
+
+  export interface ImpactResult {
+    changedFiles: string[];
+    unmappedFiles: string[];
+    requirements: string[];
+    testCases: string[];
+    specs: string[];
+  }
+
+  export class RTMImpact {
+    constructor(rtm: CypressRTM<any>);
+    getChangedFiles(range: string): Promise<string[]>;
+    analyze(changedFiles: string[]): Promise<ImpactResult>;
+  }
+
+  export function addCommands(rtm: CypressRTM<any>): void;
 }
 
 // Augment the global Cypress namespace
 declare global {
   namespace Cypress {
     interface Chainable {
-      requirement(reqId: string, options?: any): Chainable<void>;
-      userStory(storyId: string, options?: any): Chainable<void>;
+      requirement(reqId: string | string[], options?: { type?: string; priority?: string; criteria?: number | string | Array<number | string> }): Chainable<void>;
+      userStory(storyId: string | string[], options?: { type?: string; priority?: string; criteria?: number | string | Array<number | string> }): Chainable<void>;
       testMetadata(metadata: any): Chainable<void>;
       suite(metadata: any): Chainable<void>;
     }
+
+    interface TestConfigOverrides {
+      rtm?: {
+        id?: string;
+        type?: string;
+        priority?: string;
+        requirements?: string | string[];
+        userStories?: string | string[];
+        tags?: string[];
+        dependencies?: string[];
+        criteria?: Record<string, Array<string | number>>;
+        description?: string;
+      };
+    }
   }
 }
\ No newline at end of file
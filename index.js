@@ -1,10 +1,14 @@
 // index.js
 const { CypressRTM } = require('./src/core');
 const RTMTasks = require('./src/tasks');
+const RTMScanner = require('./src/scanner');
+const RTMImpact = require('./src/impact');
 const addCommands = require('./src/commands');
 
 module.exports = {
   CypressRTM,
   RTMTasks,
+  RTMScanner,
+  RTMImpact,
   addCommands
 };
\ No newline at end of file
@@ -0,0 +1,192 @@
+// src/baseline.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Requirement fields left out of its hash: where it was loaded from and its lifecycle state,
+ * which changes without the requirement's content changing
+ */
+const UNHASHED_FIELDS = ['file', 'status'];
+
+/**
+ * Serialise a value as JSON with object keys sorted, so key order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class RTMBaseline {
+  constructor(rtm) {
+    this.rtm = rtm;
+    this.baselinePath = rtm.config.baselinePath || path.join(rtm.config.outputPath, 'baseline.json');
+  }
+
+  /**
+   * Hash the content of a requirement
+   */
+  hashRequirement(requirement) {
+    const content = Object.fromEntries(Object.entries(requirement).filter(([key]) => !UNHASHED_FIELDS.includes(key)));
+    return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+  }
+
+  /**
+   * Load the baseline written by the previous run, undefined before the first run
+   */
+  async loadBaseline() {
+    try {
+      return JSON.parse(await fs.readFile(this.baselinePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw new Error(`Failed to load requirement baseline ${this.baselinePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the loaded requirements with a baseline
+   * @returns {{added: string[], removed: string[], modified: string[]}}
+   */
+  compare(baseline, hashes) {
+    const previous = baseline.requirements;
+
+    return {
+      added: Object.keys(hashes).filter(reqId => !previous[reqId]),
+      removed: Object.keys(previous).filter(reqId => !hashes[reqId]),
+      modified: Object.keys(hashes).filter(reqId => previous[reqId] && previous[reqId].hash !== hashes[reqId])
+    };
+  }
+
+  /**
+   * Get the current hash of each requirement
+   */
+  getRequirementHashes() {
+    return Object.fromEntries(
+      Array.from(this.rtm.requirements.values()).map(req => [req.id, this.hashRequirement(req)])
+    );
+  }
+
+  /**
+   * Get tests verified against an older version of a linked requirement, whatever their current status
+   * A test stays suspect until it's re-verified, passing again doesn't clear it
+   */
+  getSuspectTests(verified, hashes) {
+    return Array.from(this.rtm.testCases.values())
+      .filter(tc => verified[tc.id])
+      .map(tc => ({
+        testId: tc.id,
+        title: tc.title,
+        verifiedAt: verified[tc.id].timestamp,
+        requirements: (tc.requirements || []).filter(reqId => (
+          hashes[reqId] && verified[tc.id].requirements[reqId] && verified[tc.id].requirements[reqId] !== hashes[reqId]
+        ))
+      }))
+      .filter(entry => entry.requirements.length > 0);
+  }
+
+  /**
+   * Compare the requirements with the previous baseline, flag suspect tests and write the new baseline
+   * The baseline keeps, per test, the requirement hashes it was verified against. They're recorded
+   * the first time a test passes for a requirement and only replaced by re-verifying the test
+   * Suspect tests get the changed requirements as `suspectRequirements`, so reports show them
+   * The baseline isn't written for filtered runs
+   * @param {Object} run - Metadata of the current run
+   * @returns {Promise<Object>} Changes since the previous run and the suspect tests
+   */
+  async update(run) {
+    const baseline = await this.loadBaseline();
+    const hashes = this.getRequirementHashes();
+    const changes = baseline ? this.compare(baseline, hashes) : { added: [], removed: [], modified: [] };
+    const verified = baseline?.testCases || {};
+    const suspectTests = this.getSuspectTests(verified, hashes);
+
+    this.rtm.testCases.forEach(tc => {
+      delete tc.suspectRequirements;
+    });
+    suspectTests.forEach(entry => {
+      this.rtm.testCases.get(entry.testId).suspectRequirements = entry.requirements;
+    });
+
+    const requirements = Object.fromEntries(Object.entries(hashes).map(([reqId, hash]) => {
+      const previous = baseline?.requirements[reqId];
+      return [reqId, { hash, changedAt: previous?.hash === hash ? previous.changedAt : run.timestamp }];
+    }));
+    const testCases = { ...verified };
+    Array.from(this.rtm.testCases.values())
+      .filter(tc => tc.status === 'passed')
+      .forEach(tc => {
+        const recorded = verified[tc.id]?.requirements || {};
+        const unrecorded = (tc.requirements || []).filter(reqId => hashes[reqId] && !recorded[reqId]);
+        if (verified[tc.id] && unrecorded.length === 0) return;
+
+        testCases[tc.id] = {
+          runId: run.runId,
+          timestamp: run.timestamp,
+          requirements: { ...recorded, ...Object.fromEntries(unrecorded.map(reqId => [reqId, hashes[reqId]])) }
+        };
+      });
+
+    // A filtered run only verified some tests, it reports changes without replacing the baseline
+    if (!this.rtm.filter) {
+      await this.writeBaseline({
+        runId: run.runId,
+        timestamp: run.timestamp,
+        requirements,
+        testCases
+      });
+    }
+
+    return {
+      previous: baseline ? { runId: baseline.runId, timestamp: baseline.timestamp } : null,
+      ...changes,
+      suspectTests
+    };
+  }
+
+  /**
+   * Re-verify tests against the current requirements, e.g. after reviewing a suspect test
+   * @param {string[]} testIds - Tests recorded in the baseline
+   * @returns {Promise<Object[]>} Re-verified tests with the requirements whose hash was updated
+   */
+  async reverify(testIds) {
+    const baseline = await this.loadBaseline();
+    const unknown = testIds.filter(testId => !baseline?.testCases[testId]);
+    if (unknown.length > 0) {
+      throw new Error(`Tests not verified in the requirement baseline: ${unknown.join(', ')}`);
+    }
+
+    const hashes = this.getRequirementHashes();
+    const timestamp = new Date().toISOString();
+    const reverified = testIds.map(testId => {
+      const recorded = baseline.testCases[testId].requirements;
+      const requirements = Object.keys(recorded).filter(reqId => hashes[reqId]);
+
+      baseline.testCases[testId] = {
+        timestamp,
+        requirements: Object.fromEntries(requirements.map(reqId => [reqId, hashes[reqId]]))
+      };
+      return { testId, requirements: requirements.filter(reqId => recorded[reqId] !== hashes[reqId]) };
+    });
+
+    await this.writeBaseline(baseline);
+    return reverified;
+  }
+
+  /**
+   * Write the baseline file
+   */
+  async writeBaseline(baseline) {
+    await fs.mkdir(path.dirname(this.baselinePath), { recursive: true });
+    await fs.writeFile(this.baselinePath, JSON.stringify(baseline, null, 2));
+  }
+}
+
+module.exports = RTMBaseline;
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// src/cli.js
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CypressRTM } = require('./core');
+const RTMReportGenerator = require('./reports');
+const RTMScanner = require('./scanner');
+const RTMImpact = require('./impact');
+
+/**
+ * Config module loaded from the working directory when --config is not given
+ */
+const DEFAULT_CONFIG_FILE = 'cypress-rtm.config.js';
+
+const USAGE = `Usage: cypress-rtm <command> [options]
+
+Commands:
+  scan [specs...]              Build the planned traceability matrix from spec files without running Cypress
+  impact [range]               List requirements touched by a git revision range and the specs to run (default: HEAD)
+  import <results...>          Import JUnit XML or Mocha/mochawesome JSON results of tests run outside Cypress
+  reverify <tests...>          Re-verify suspect tests against the current requirements
+
+Options:
+  -c, --config <file>          Module exporting the CypressRTM options (default: ${DEFAULT_CONFIG_FILE} when present)
+  -r, --requirements <path>    Requirements file or glob
+  -u, --user-stories <path>    User stories file or glob
+  -o, --output <dir>           Report output directory
+  -t, --type <type>            Test type of imported tests not setting their own, e.g. unit or api
+      --json                   Print impact results as JSON
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  requirements: { type: 'string', short: 'r' },
+  'user-stories': { type: 'string', short: 'u' },
+  output: { type: 'string', short: 'o' },
+  type: { type: 'string', short: 't' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Build the CypressRTM options from the config module and command line flags
+ */
+function loadConfig(values) {
+  const defaultConfig = fs.existsSync(path.resolve(DEFAULT_CONFIG_FILE)) ? DEFAULT_CONFIG_FILE : undefined;
+  const configFile = values.config || defaultConfig;
+
+  return {
+    ...(configFile && require(path.resolve(configFile))),
+    ...(values.requirements && { requirementsPath: values.requirements }),
+    ...(values['user-stories'] && { userStoriesPath: values['user-stories'] }),
+    ...(values.output && { outputPath: values.output })
+  };
+}
+
+/**
+ * Scan spec files and write reports of the planned coverage
+ * Resolves to a non-zero exit code when a test links to something invalid
+ */
+async function scan(specs, config, io) {
+  const rtm = new CypressRTM(config);
+  await rtm.init();
+
+  const result = await new RTMScanner(rtm).scan(specs.length > 0 ? specs : undefined);
+  await new RTMReportGenerator(rtm).generateReports();
+
+  result.warnings.forEach(warning => io.stderr.write(`warning: ${warning}\n`));
+  result.errors.forEach(error => io.stderr.write(`error: ${error}\n`));
+  io.stdout.write(
+    `Scanned ${result.files.length} spec file(s), ${result.testCases.length} planned test case(s)\n` +
+    `Reports written to ${rtm.config.outputPath}\n`
+  );
+
+  return result.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * Print the requirements a git revision range touches and the specs to run
+ */
+async function impact([range = 'HEAD'], config, io, options) {
+  const rtm = new CypressRTM(config);
+  await rtm.init();
+
+  const analysis = new RTMImpact(rtm);
+  const result = await analysis.analyze(await analysis.getChangedFiles(range));
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify({ range, ...result }, null, 2)}\n`);
+    return 0;
+  }
+
+  const list = items => (items.length > 0 ? items.map(item => `  ${item}\n`).join('') : '  (none)\n');
+  io.stdout.write(
+    `${result.changedFiles.length} changed file(s) in ${range}, ${result.unmappedFiles.length} not mapped to requirements\n` +
+    `Requirements:\n${list(result.requirements)}` +
+    `Specs:\n${list(result.specs)}`
+  );
+  return 0;
+}
+
+/**
+ * Import external test results and merge them into the reports in the output directory
+ * No run is recorded, so the history and requirement baseline are left untouched
+ * Resolves to a non-zero exit code when a test links to something invalid
+ */
+async function importResults(files, config, io, options) {
+  if (files.length === 0) {
+    io.stderr.write(`No result files given\n\n${USAGE}`);
+    return 2;
+  }
+
+  const rtm = new CypressRTM(config);
+  await rtm.init();
+
+  const reportGenerator = new RTMReportGenerator(rtm);
+  const previous = await reportGenerator.loadJSONReport();
+  (previous?.execution.testCases || [])
+    .filter(testCase => !rtm.testCases.has(testCase.id))
+    .forEach(({ coverage, ...testCase }) => rtm.testCases.set(testCase.id, testCase));
+  rtm.filter = previous?.filter;
+
+  const result = await rtm.importResults(files, { type: options.type });
+  await reportGenerator.generateReports({
+    run: previous?.run,
+    trends: previous?.trends,
+    baseline: previous?.baseline,
+    qualityGates: rtm.evaluateQualityGates()
+  });
+
+  result.errors.forEach(error => io.stderr.write(`error: ${error}\n`));
+  io.stdout.write(
+    `Imported ${result.testCases.length} linked test case(s) from ${result.files.length} file(s), ` +
+    `${result.unlinked} test(s) without links skipped\n` +
+    `Reports written to ${rtm.config.outputPath}\n`
+  );
+
+  return result.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * Record that tests were re-verified against the current requirements, clearing their suspect status
+ */
+async function reverify(testIds, config, io) {
+  if (testIds.length === 0) {
+    io.stderr.write(`No test IDs given\n\n${USAGE}`);
+    return 2;
+  }
+
+  const rtm = new CypressRTM(config);
+  await rtm.init();
+
+  const reverified = await rtm.reverifyTests(testIds);
+  reverified.forEach(({ testId, requirements }) => io.stdout.write(
+    `${testId}: ${requirements.length > 0 ? `re-verified against ${requirements.join(', ')}` : 'already verified'}\n`
+  ));
+
+  return 0;
+}
+
+const COMMANDS = {
+  scan,
+  impact,
+  import: importResults,
+  reverify
+};
+
+/**
+ * Run the command line interface
+ * @param {string[]} [argv] - Arguments after the executable
+ * @param {Object} [io] - Streams to write to, the process by default
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv = process.argv.slice(2), io = process) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [name, ...positionals] = parsed.positionals;
+  if (parsed.values.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[name]) {
+    io.stderr.write(`${name ? `Unknown command ${name}` : 'No command given'}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await COMMANDS[name](positionals, loadConfig(parsed.values), io, parsed.values);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  run().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
@@ -1,106 +1,241 @@
 // src/commands.js
-const { TEST_TYPES, TEST_PRIORITIES } = require('./constants');
+const { buildTestCaseId, buildSuiteId, toCriteriaLinks, parseTitleLinks, parseFilter } = require('./utils');
+
+/**
+ * Check that a requirement or user story exists, as configured by `validateLinks`
+ * Unknown IDs fail the test in strict mode and are logged as unresolved in warn mode,
+ * links to deprecated or rejected requirements are logged as warnings
+ */
+function validateLink(task, label, id) {
+  cy.task(task, id).then((result) => {
+    if (result === 'unresolved') {
+      Cypress.log({
+        name: 'rtm',
+        message: `Unresolved ${label} ID: ${id}`,
+        consoleProps: () => ({ [label]: id, status: 'unresolved' })
+      });
+    } else if (typeof result === 'string') {
+      Cypress.log({
+        name: 'rtm',
+        message: `Warning: ${label} ${id} is ${result}`,
+        consoleProps: () => ({ [label]: id, status: result })
+      });
+    } else if (!result) {
+      throw new Error(`Invalid ${label} ID: ${id}`);
+    }
+  });
+}
+
+/**
+ * Get the config overrides of a Mocha test, e.g. `it('...', { rtm: {...} }, ...)`
+ * Cypress 10+ keeps them unverified on `_testConfig`, older versions on `cfg`
+ */
+function getTestConfig(test) {
+  return test?._testConfig?.unverifiedTestConfig || test?._testConfig || test?.cfg || {};
+}
 
 /**
  * Add custom RTM commands to Cypress
  * @param {CypressRTM} rtm - Instance of the RTM plugin
  */
 function addCommands(rtm) {
-  Cypress.Commands.add('requirement', (reqId, options = {}) => {
-    // Validate requirement exists
-    cy.task('rtm:validateRequirement', reqId).then((isValid) => {
-      if (!isValid) {
-        throw new Error(`Invalid requirement ID: ${reqId}`);
-      }
-
-      // Get current test info
-      const testCase = {
-        id: `TC-${Cypress.currentTest.title}`,
-        title: Cypress.currentTest.title,
-        type: options.type || TEST_TYPES.E2E,
-        priority: options.priority || TEST_PRIORITIES.P1,
-        requirements: [reqId],
-        automated: true,
-        timestamp: new Date().toISOString()
-      };
-
-      // Register test case
-      cy.task('rtm:addTestCase', testCase);
+  // Explicit test case IDs set through cy.testMetadata(), keyed by derived ID
+  const explicitIds = new Map();
+
+  /**
+   * Resolve identity of the currently running test
+   */
+  function getCurrentTest() {
+    const { title, titlePath = [title] } = Cypress.currentTest;
+    const spec = Cypress.spec?.relative;
+    const derivedId = buildTestCaseId(spec, titlePath);
+
+    return {
+      id: explicitIds.get(derivedId) || derivedId,
+      derivedId,
+      title,
+      spec,
+      titlePath
+    };
+  }
+
+  /**
+   * Resolve the describe path of the hook or test currently running
+   */
+  function getCurrentSuitePath() {
+    // Inside a before() hook the runnable's parent is the describe block declaring it
+    const runnable = Cypress.mocha?.getRunner?.()?.currentRunnable;
+    if (runnable?.parent?.titlePath) {
+      return runnable.parent.titlePath();
+    }
+
+    const { title, titlePath = [title] } = Cypress.currentTest;
+    return titlePath.slice(0, -1);
+  }
+
+  /**
+   * Register links declared in the titles of a test and its describe blocks,
+   * e.g. `it('[REQ-001][US-003] logs in')`, and in its `rtm` test config
+   */
+  function addDeclaredLinks(test) {
+    const { id, derivedId, title, spec, titlePath } = getCurrentTest();
+    const titleLinks = parseTitleLinks(titlePath);
+    const metadata = getTestConfig(test).rtm;
+    if (titleLinks.length === 0 && !metadata) {
+      return;
+    }
+
+    const { requirements = [], userStories = [], ...options } = metadata || {};
+    if (options.id) {
+      explicitIds.set(derivedId, options.id);
+    }
+
+    // Title tokens are matched against known IDs by the task, explicit links are validated here
+    [].concat(requirements).forEach(reqId => validateLink('rtm:validateRequirement', 'requirement', reqId));
+    [].concat(userStories).forEach(storyId => validateLink('rtm:validateStory', 'user story', storyId));
+
+    cy.task('rtm:addTestCase', {
+      id: options.id || id,
+      title,
+      spec,
+      titlePath,
+      type: options.type,
+      priority: options.priority,
+      requirements: [].concat(requirements),
+      userStories: [].concat(userStories),
+      titleLinks,
+      automated: true,
+      tags: options.tags || [],
+      dependencies: options.dependencies || [],
+      criteria: options.criteria,
+      description: options.description,
+      timestamp: new Date().toISOString()
     });
-  });
+  }
 
-  Cypress.Commands.add('userStory', (storyId, options = {}) => {
-    // Validate user story exists
-    cy.task('rtm:validateStory', storyId).then((isValid) => {
-      if (!isValid) {
-        throw new Error(`Invalid user story ID: ${storyId}`);
-      }
-
-      // Get current test info
-      const testCase = {
-        id: `TC-${Cypress.currentTest.title}`,
-        title: Cypress.currentTest.title,
-        type: options.type || TEST_TYPES.E2E,
-        priority: options.priority || TEST_PRIORITIES.P1,
-        userStories: [storyId],
-        automated: true,
-        timestamp: new Date().toISOString()
-      };
-
-      // Register test case
-      cy.task('rtm:addTestCase', testCase);
+  /**
+   * Skip the test unless the task finds it selected by the filter
+   */
+  function skipUnlessSelected(context, filter) {
+    const { title, spec, titlePath } = getCurrentTest();
+    const test = {
+      title,
+      spec,
+      absolute: Cypress.spec?.absolute,
+      titlePath,
+      titleLinks: parseTitleLinks(titlePath),
+      metadata: getTestConfig(context.currentTest).rtm
+    };
+
+    cy.task('rtm:matchesFilter', { filter, test }, { log: false }).then(selected => {
+      if (!selected) context.skip();
     });
+  }
+
+  // Tests outside the env filter are skipped, declared links are registered before
+  // the test body runs so tests failing early keep them
+  beforeEach(function () {
+    const filter = parseFilter(Cypress.env());
+    if (filter) {
+      skipUnlessSelected(this, filter);
+    }
+    addDeclaredLinks(this.currentTest);
+  });
+
+  Cypress.Commands.add('requirement', (reqIds, options = {}) => {
+    const requirements = [].concat(reqIds);
+
+    // Validate requirements exist
+    requirements.forEach(reqId => validateLink('rtm:validateRequirement', 'requirement', reqId));
+
+    // Get current test info
+    const { id, title, spec, titlePath } = getCurrentTest();
+    const testCase = {
+      id,
+      title,
+      spec,
+      titlePath,
+      type: options.type,
+      priority: options.priority,
+      requirements,
+      criteria: toCriteriaLinks(requirements, options.criteria),
+      automated: true,
+      timestamp: new Date().toISOString()
+    };
+
+    // Register test case, merging with links added earlier in the test
+    cy.task('rtm:addTestCase', testCase);
+  });
+
+  Cypress.Commands.add('userStory', (storyIds, options = {}) => {
+    const userStories = [].concat(storyIds);
+
+    // Validate user stories exist
+    userStories.forEach(storyId => validateLink('rtm:validateStory', 'user story', storyId));
+
+    // Get current test info
+    const { id, title, spec, titlePath } = getCurrentTest();
+    const testCase = {
+      id,
+      title,
+      spec,
+      titlePath,
+      type: options.type,
+      priority: options.priority,
+      userStories,
+      criteria: toCriteriaLinks(userStories, options.criteria),
+      automated: true,
+      timestamp: new Date().toISOString()
+    };
+
+    // Register test case, merging with links added earlier in the test
+    cy.task('rtm:addTestCase', testCase);
   });
 
   Cypress.Commands.add('testMetadata', (metadata = {}) => {
+    const { id, derivedId, title, spec, titlePath } = getCurrentTest();
+
+    // Keep a fixed test case number for every later link call in this test
+    if (metadata.id) {
+      explicitIds.set(derivedId, metadata.id);
+    }
+
     const testCase = {
-      id: `TC-${Cypress.currentTest.title}`,
-      title: Cypress.currentTest.title,
-      type: metadata.type || TEST_TYPES.E2E,
-      priority: metadata.priority || TEST_PRIORITIES.P1,
+      id: metadata.id || id,
+      title,
+      spec,
+      titlePath,
+      type: metadata.type,
+      priority: metadata.priority,
       requirements: metadata.requirements || [],
       userStories: metadata.userStories || [],
       automated: true,
       tags: metadata.tags || [],
       dependencies: metadata.dependencies || [],
+      criteria: metadata.criteria,
       description: metadata.description,
       timestamp: new Date().toISOString()
     };
 
-    // Validate requirements if provided
-    if (testCase.requirements.length > 0) {
-      testCase.requirements.forEach(reqId => {
-        cy.task('rtm:validateRequirement', reqId).then((isValid) => {
-          if (!isValid) {
-            throw new Error(`Invalid requirement ID: ${reqId}`);
-          }
-        });
-      });
-    }
-
-    // Validate user stories if provided
-    if (testCase.userStories.length > 0) {
-      testCase.userStories.forEach(storyId => {
-        cy.task('rtm:validateStory', storyId).then((isValid) => {
-          if (!isValid) {
-            throw new Error(`Invalid user story ID: ${storyId}`);
-          }
-        });
-      });
-    }
+    // Validate requirements and user stories if provided
+    testCase.requirements.forEach(reqId => validateLink('rtm:validateRequirement', 'requirement', reqId));
+    testCase.userStories.forEach(storyId => validateLink('rtm:validateStory', 'user story', storyId));
 
-    // Register test case
+    // Register test case, merging with links added earlier in the test
     cy.task('rtm:addTestCase', testCase);
   });
 
   // Add command for test suites
   Cypress.Commands.add('suite', (metadata = {}) => {
-    const suiteId = Cypress.currentTest.suite.title;
+    const spec = Cypress.spec?.relative;
+    const titlePath = getCurrentSuitePath();
 
-    // Store suite metadata
+    // Store suite metadata, inherited by every test in the describe block
     cy.task('rtm:addSuite', {
-      id: `TS-${suiteId}`,
-      title: suiteId,
+      id: buildSuiteId(spec, titlePath),
+      title: titlePath[titlePath.length - 1],
+      spec,
+      titlePath,
       type: metadata.type,
       priority: metadata.priority,
       requirements: metadata.requirements || [],
@@ -55,6 +55,78 @@ const TEST_PRIORITIES = {
   P4: 'p4-edge-cases'   // Run in full regression only
 };
 
+/**
+ * Lifecycle states of requirements
+ * Requirements without a status count as in scope
+ * @readonly
+ * @enum {string}
+ */
+const REQUIREMENT_STATUSES = {
+  DRAFT: 'draft',             // Not agreed yet, listed apart from coverage
+  APPROVED: 'approved',
+  IMPLEMENTED: 'implemented',
+  DEPRECATED: 'deprecated',   // Retired, linked tests are warned about
+  REJECTED: 'rejected'        // Retired, linked tests are warned about
+};
+
+/**
+ * Execution statuses recorded for test cases
+ * @readonly
+ * @enum {string}
+ */
+const TEST_STATUSES = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  NOT_RUN: 'not-run' // Planned by a static scan, never executed
+};
+
+/**
+ * Where a test case comes from, test cases without an origin are Cypress tests
+ * @readonly
+ * @enum {string}
+ */
+const TEST_ORIGINS = {
+  CYPRESS: 'cypress',
+  MANUAL: 'manual',    // Manual test case registry
+  IMPORTED: 'imported' // JUnit or Mocha results of tests run outside Cypress
+};
+
+/**
+ * Cypress env variables selecting the tests to run, keyed by filter field
+ * Values are lists of IDs, tags or priorities separated by commas or pipes
+ * @readonly
+ * @enum {string}
+ */
+const FILTER_ENV_KEYS = {
+  requirements: 'rtmRequirements',
+  userStories: 'rtmStory',
+  tags: 'rtmTags',
+  priorities: 'rtmPriority'
+};
+
+/**
+ * How links to unknown requirements and user stories are handled
+ * @readonly
+ * @enum {string}
+ */
+const LINK_VALIDATION_MODES = {
+  STRICT: 'strict', // Fail the test
+  WARN: 'warn',     // Record the link as unresolved and report it
+  OFF: 'off'        // Accept any ID
+};
+
+/**
+ * Levels of the requirement hierarchy, from the broadest to the most specific
+ * @readonly
+ * @enum {string}
+ */
+const REQUIREMENT_LEVELS = {
+  EPIC: 'epic',
+  FEATURE: 'feature',
+  REQUIREMENT: 'requirement'
+};
+
 /**
  * Schema definition for requirements
  * @type {Object}
@@ -67,10 +139,24 @@ const REQUIREMENT_SCHEMA = {
     description: { type: 'string' },
     type: { enum: Object.values(REQUIREMENT_TYPES) },
     priority: { enum: Object.values(REQUIREMENT_PRIORITIES) },
+    status: { enum: Object.values(REQUIREMENT_STATUSES) },
+    level: { enum: Object.values(REQUIREMENT_LEVELS) },
+    parent: { type: 'string' },
     userStory: { type: 'string' },
     acceptanceCriteria: {
       type: 'array',
-      items: { type: 'string' }
+      items: {
+        anyOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              text: { type: 'string' }
+            }
+          }
+        ]
+      }
     },
     relatedRequirements: {
       type: 'array',
@@ -83,6 +169,29 @@ const REQUIREMENT_SCHEMA = {
   }
 };
 
+/**
+ * Schema definition for user stories
+ * @type {Object}
+ */
+const USER_STORY_SCHEMA = {
+  required: ['id', 'title'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    parent: { type: 'string' },
+    acceptanceCriteria: REQUIREMENT_SCHEMA.properties.acceptanceCriteria,
+    linkedRequirements: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    tags: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  }
+};
+
 /**
  * Schema definition for test cases
  * @type {Object}
@@ -104,6 +213,36 @@ const TEST_CASE_SCHEMA = {
       items: { type: 'string' }
     },
     automated: { type: 'boolean' },
+    origin: { enum: Object.values(TEST_ORIGINS) },
+    spec: { type: 'string' },
+    titlePath: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    suites: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    criteria: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        items: { type: 'string' }
+      }
+    },
+    unresolvedLinks: {
+      type: 'object',
+      properties: {
+        requirements: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        userStories: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      }
+    },
     tags: {
       type: 'array',
       items: { type: 'string' }
@@ -112,7 +251,13 @@ const TEST_CASE_SCHEMA = {
       type: 'array',
       items: { type: 'string' }
     },
-    timestamp: { type: 'string' } // Added this line
+    timestamp: { type: 'string' }, // Added this line
+    status: { enum: Object.values(TEST_STATUSES) },
+    tester: { type: 'string' },     // Manual test cases only
+    executedAt: { type: 'string' }, // Manual test cases only
+    duration: { type: 'number' },
+    attempts: { type: 'number' },
+    error: { type: 'string' }
   }
 };
 
@@ -121,6 +266,13 @@ module.exports = {
   TEST_TYPES,
   REQUIREMENT_PRIORITIES,
   TEST_PRIORITIES,
+  REQUIREMENT_STATUSES,
+  TEST_STATUSES,
+  TEST_ORIGINS,
+  LINK_VALIDATION_MODES,
+  FILTER_ENV_KEYS,
+  REQUIREMENT_LEVELS,
   REQUIREMENT_SCHEMA,
+  USER_STORY_SCHEMA,
   TEST_CASE_SCHEMA
 };
\ No newline at end of file
@@ -2,14 +2,36 @@
 const fs = require('fs').promises;
 const path = require('path');
 const RTMReportGenerator = require('./reports');
-const {
-  REQUIREMENT_TYPES,
-  TEST_TYPES,
-  REQUIREMENT_PRIORITIES,
-  TEST_PRIORITIES,
-  REQUIREMENT_SCHEMA,
-  TEST_CASE_SCHEMA
-} = require('./constants');
+const RTMHistory = require('./history');
+const RTMBaseline = require('./baseline');
+const RTMQualityGates = require('./quality-gates');
+const RTMHierarchy = require('./hierarchy');
+const RTMValidator = require('./validation');
+const { loadRecords, resolveSourceFiles } = require('./loaders');
+const { parseResults } = require('./importers');
+const { resolveTaxonomies } = require('./taxonomy');
+const { buildTestCaseId, isScenarioTitle, isTitlePathPrefix, normalizeCriteria, parseTitleLinks } = require('./utils');
+const { TEST_STATUSES, TEST_ORIGINS, REQUIREMENT_STATUSES, REQUIREMENT_LEVELS, LINK_VALIDATION_MODES } = require('./constants');
+
+/**
+ * Test case fields that accumulate across link calls instead of being replaced
+ */
+const MERGEABLE_FIELDS = ['requirements', 'userStories', 'tags', 'dependencies'];
+
+/**
+ * Requirement levels that group requirements below them
+ */
+const GROUP_LEVELS = [REQUIREMENT_LEVELS.EPIC, REQUIREMENT_LEVELS.FEATURE];
+
+/**
+ * Requirement lifecycle states that no longer need verification
+ */
+const RETIRED_STATUSES = [REQUIREMENT_STATUSES.DEPRECATED, REQUIREMENT_STATUSES.REJECTED];
+
+/**
+ * Test case fields holding lists per key, combined key by key when merging
+ */
+const MERGEABLE_MAP_FIELDS = ['criteria', 'unresolvedLinks'];
 
 class RTMError extends Error {
   constructor(message, code) {
@@ -19,6 +41,15 @@ class RTMError extends Error {
   }
 }
 
+/**
+ * Create an error listing every validation problem, one per line
+ */
+function createValidationError(summary, errors, code) {
+  const error = new RTMError(`${summary}:\n${errors.map(message => `  - ${message}`).join('\n')}`, code);
+  error.errors = errors;
+  return error;
+}
+
 class CypressRTM {
   constructor(config = {}) {
     this.config = {
@@ -26,14 +57,28 @@ class CypressRTM {
       requirementsPath: config.requirementsPath || 'cypress/fixtures/requirements.json',
       outputPath: config.outputPath || 'cypress/reports/rtm',
       validateLinks: config.validateLinks ?? true,
+      historySize: config.historySize ?? 10,
+      qualityGates: config.qualityGates || {},
+      typeRules: config.typeRules || {},
+      taxonomies: config.taxonomies || {},
       ...config
     };
 
+    // Requirement and test types and priorities, built-in values extended or replaced by the config
+    try {
+      this.taxonomies = resolveTaxonomies(this.config.taxonomies);
+    } catch (error) {
+      throw new RTMError(`Invalid taxonomy configuration: ${error.message}`, 'INVALID_TAXONOMY');
+    }
+
     // Initialize data stores
     this.userStories = new Map();
     this.requirements = new Map();
     this.testCases = new Map();
     this.suites = new Map();
+
+    // Filter selecting the tests of the current run, set when given through Cypress env
+    this.filter = undefined;
   }
 
   /**
@@ -44,9 +89,18 @@ class CypressRTM {
       // Create output directory if it doesn't exist
       await fs.mkdir(this.config.outputPath, { recursive: true });
 
+      this.validateTypeRules();
+      this.validateLinkValidationMode();
+
       // Load requirements and user stories
       await this.loadRequirements();
       await this.loadUserStories();
+      this.validateHierarchy();
+
+      // Manual test cases link to the loaded requirements and user stories
+      if (this.config.manualTestsPath) {
+        await this.loadManualTests();
+      }
 
       return true;
     } catch (error) {
@@ -55,20 +109,36 @@ class CypressRTM {
   }
 
   /**
-   * Load requirements from file
+   * Options passed to the requirement and user story loaders
+   */
+  getLoaderOptions() {
+    return {
+      loaders: this.config.loaders,
+      csv: this.config.csv,
+      reqif: this.config.reqif,
+      gherkin: this.config.gherkin
+    };
+  }
+
+  /**
+   * Load requirements from the configured files
    */
   async loadRequirements() {
     try {
-      const content = await fs.readFile(this.config.requirementsPath, 'utf8');
-      const requirements = JSON.parse(content);
-
-      Object.entries(requirements).forEach(([id, req]) => {
-        if (this.validateRequirement(req)) {
-          this.requirements.set(id, req);
-        } else {
-          throw new RTMError(`Invalid requirement structure for ${id}`, 'INVALID_REQUIREMENT');
+      const records = await loadRecords(this.config.requirementsPath, this.getLoaderOptions());
+      const errors = [];
+
+      records.forEach(({ record: req, file }) => {
+        this.getValidator().validateRequirement(req).forEach(error => errors.push(`${file}: ${error}`));
+        if (this.requirements.has(req.id)) {
+          errors.push(`Duplicate requirement ${req.id} in ${file}`);
         }
+        this.requirements.set(req.id, req);
       });
+
+      if (errors.length > 0) {
+        throw createValidationError('Invalid requirements', errors, 'INVALID_REQUIREMENT');
+      }
     } catch (error) {
       if (error instanceof RTMError) throw error;
       throw new RTMError(`Failed to load requirements: ${error.message}`, 'REQUIREMENTS_LOAD_ERROR');
@@ -76,20 +146,24 @@ class CypressRTM {
   }
 
   /**
-   * Load user stories from file
+   * Load user stories from the configured files
    */
   async loadUserStories() {
     try {
-      const content = await fs.readFile(this.config.userStoriesPath, 'utf8');
-      const stories = JSON.parse(content);
-
-      Object.entries(stories).forEach(([id, story]) => {
-        if (story.id && story.title) {
-          this.userStories.set(id, story);
-        } else {
-          throw new RTMError(`Invalid user story structure for ${id}`, 'INVALID_USER_STORY');
+      const records = await loadRecords(this.config.userStoriesPath, this.getLoaderOptions());
+      const errors = [];
+
+      records.forEach(({ record: story, file }) => {
+        this.getValidator().validateUserStory(story).forEach(error => errors.push(`${file}: ${error}`));
+        if (this.userStories.has(story.id)) {
+          errors.push(`Duplicate user story ${story.id} in ${file}`);
         }
+        this.userStories.set(story.id, story);
       });
+
+      if (errors.length > 0) {
+        throw createValidationError('Invalid user stories', errors, 'INVALID_USER_STORY');
+      }
     } catch (error) {
       if (error instanceof RTMError) throw error;
       throw new RTMError(`Failed to load user stories: ${error.message}`, 'USER_STORIES_LOAD_ERROR');
@@ -97,128 +171,517 @@ class CypressRTM {
   }
 
   /**
-   * Validate a requirement against the schema
+   * Load manual test cases with their last execution result from the configured files
+   * Dates parsed by YAML are kept as ISO strings like every other timestamp
    */
-  validateRequirement(requirement) {
+  async loadManualTests() {
     try {
-      // Check if requirement has all required fields
-      if (!requirement.id || !requirement.title || !requirement.type || !requirement.priority) {
-        return false;
+      const records = await loadRecords(this.config.manualTestsPath, this.getLoaderOptions());
+      const errors = [];
+
+      records.forEach(({ record, file }) => {
+        const testCase = {
+          ...record,
+          type: record.type || this.getDefaultTaxonomyValue('testTypes'),
+          priority: record.priority || this.getDefaultTaxonomyValue('testPriorities'),
+          requirements: [].concat(record.requirements || []),
+          userStories: [].concat(record.userStories || []),
+          executedAt: record.executedAt instanceof Date ? record.executedAt.toISOString() : record.executedAt,
+          automated: false,
+          origin: TEST_ORIGINS.MANUAL
+        };
+
+        if (this.testCases.has(testCase.id)) {
+          errors.push(`Duplicate test case ${testCase.id} in ${file}`);
+          return;
+        }
+
+        // Links and acceptance criteria are resolved and validated like those of automated tests
+        try {
+          this.addTestCase(testCase);
+        } catch (error) {
+          if (!(error instanceof RTMError)) throw error;
+          (error.errors || [error.message]).forEach(message => errors.push(`${file}: ${testCase.id}: ${message}`));
+        }
+      });
+
+      if (errors.length > 0) {
+        throw createValidationError('Invalid manual test cases', errors, 'INVALID_MANUAL_TEST');
       }
+    } catch (error) {
+      if (error instanceof RTMError) throw error;
+      throw new RTMError(`Failed to load manual test cases: ${error.message}`, 'MANUAL_TESTS_LOAD_ERROR');
+    }
+  }
 
-      // Validate requirement type
-      if (!Object.values(REQUIREMENT_TYPES).includes(requirement.type)) {
-        return false;
+  /**
+   * Import results of tests run outside Cypress, such as Jest or Mocha unit and API tests
+   * Tests are linked through `[REQ-001]` tokens in their titles and, in JUnit reports, through
+   * `requirements`, `userStories`, `tags`, `type`, `priority` and `id` properties.
+   * Tests without links are not traced, like Cypress tests that never call an RTM command
+   * @param {string|string[]} sourcePaths - JUnit XML or Mocha/mochawesome JSON files or globs
+   * @param {Object} [options]
+   * @param {string} [options.type] - Test type of imported tests not setting their own
+   * @returns {Promise<{files: string[], testCases: string[], unlinked: number, errors: string[]}>}
+   */
+  async importResults(sourcePaths, options = {}) {
+    const files = await resolveSourceFiles(sourcePaths);
+    if (files.length === 0) {
+      throw new RTMError(`No result files found matching ${[].concat(sourcePaths).join(', ')}`, 'IMPORT_ERROR');
+    }
+
+    const result = { files, testCases: [], unlinked: 0, errors: [] };
+
+    for (const file of files) {
+      let results;
+      try {
+        results = parseResults(await fs.readFile(file, 'utf8'), file);
+      } catch (error) {
+        throw new RTMError(`Failed to import ${file}: ${error.message}`, 'IMPORT_ERROR');
       }
 
-      // Validate requirement priority
-      if (!Object.values(REQUIREMENT_PRIORITIES).includes(requirement.priority)) {
-        return false;
+      results.forEach(({ title, titlePath, spec, status, duration, error, links }) => {
+        const titleLinks = parseTitleLinks(titlePath).filter(id => this.requirements.has(id) || this.userStories.has(id));
+        if (titleLinks.length === 0 && !links.requirements && !links.userStories) {
+          result.unlinked++;
+          return;
+        }
+
+        const id = links.id || buildTestCaseId(spec, titlePath);
+        try {
+          this.addTestCase({
+            id,
+            title,
+            spec,
+            titlePath,
+            type: links.type || options.type || this.getDefaultTaxonomyValue('testTypes'),
+            priority: links.priority || this.getDefaultTaxonomyValue('testPriorities'),
+            requirements: links.requirements || [],
+            userStories: links.userStories || [],
+            tags: links.tags || [],
+            titleLinks,
+            automated: true,
+            origin: TEST_ORIGINS.IMPORTED,
+            timestamp: new Date().toISOString()
+          });
+          this.recordTestResult(id, { status, duration, error });
+          result.testCases.push(id);
+        } catch (linkError) {
+          if (!(linkError instanceof RTMError)) throw linkError;
+          result.errors.push(`${file}: ${titlePath.join(' > ')}: ${linkError.message}`);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check parent, user story and related requirement references once everything is loaded
+   */
+  validateHierarchy() {
+    const errors = new RTMHierarchy(this).validate();
+    if (errors.length > 0) {
+      throw new RTMError(`Invalid requirement hierarchy:\n${errors.map(error => `  - ${error}`).join('\n')}`, 'INVALID_HIERARCHY');
+    }
+  }
+
+  /**
+   * Get the allowed values of a taxonomy, in report order
+   * @param {string} name - requirementTypes, testTypes, requirementPriorities or testPriorities
+   */
+  getTaxonomyValues(name) {
+    return this.taxonomies[name].map(entry => entry.value);
+  }
+
+  /**
+   * Get the value of a taxonomy assigned when none is given
+   */
+  getDefaultTaxonomyValue(name) {
+    return this.taxonomies[name].find(entry => entry.default).value;
+  }
+
+  /**
+   * Check that type rules map known requirement types to known test types
+   */
+  validateTypeRules() {
+    Object.entries(this.config.typeRules).forEach(([requirementType, testTypes]) => {
+      if (!this.getTaxonomyValues('requirementTypes').includes(requirementType)) {
+        throw new RTMError(`Type rule for unknown requirement type ${requirementType}`, 'INVALID_TYPE_RULE');
       }
+      const unknown = [].concat(testTypes).filter(type => !this.getTaxonomyValues('testTypes').includes(type));
+      if (unknown.length > 0) {
+        throw new RTMError(`Type rule for ${requirementType} references unknown test type(s) ${unknown.join(', ')}`, 'INVALID_TYPE_RULE');
+      }
+    });
+  }
 
-      return true;
-    } catch (error) {
-      return false;
+  /**
+   * Get the schema validator, compiled on first use
+   */
+  getValidator() {
+    if (!this.validator) {
+      this.validator = new RTMValidator(this);
     }
+    return this.validator;
+  }
+
+  /**
+   * Validate a requirement against the schema
+   */
+  validateRequirement(requirement) {
+    return this.getValidator().validateRequirement(requirement).length === 0;
   }
 
   /**
    * Validate a test case against the schema
    */
   validateTestCase(testCase) {
-    try {
-      // Check if test case has all required fields
-      if (!testCase.id || !testCase.title || !testCase.type || !testCase.priority) {
-        return false;
-      }
+    return this.getValidator().validateTestCase(testCase).length === 0;
+  }
 
-      // Validate test type
-      if (!Object.values(TEST_TYPES).includes(testCase.type)) {
-        return false;
+  /**
+   * Merge an update into an existing test case
+   * List fields are combined without duplicates, other defined fields replace existing values
+   */
+  mergeTestCase(existing, update) {
+    const merged = { ...existing };
+
+    Object.entries(update).forEach(([key, value]) => {
+      if (value === undefined) return;
+
+      if (MERGEABLE_FIELDS.includes(key)) {
+        merged[key] = [...new Set([...(existing[key] || []), ...value])];
+      } else if (MERGEABLE_MAP_FIELDS.includes(key)) {
+        merged[key] = { ...existing[key] };
+        Object.entries(value).forEach(([mapKey, items]) => {
+          merged[key][mapKey] = [...new Set([...(merged[key][mapKey] || []), ...items])];
+        });
+      } else {
+        merged[key] = value;
       }
+    });
 
-      // Validate test priority
-      if (!Object.values(TEST_PRIORITIES).includes(testCase.priority)) {
-        return false;
-      }
+    return merged;
+  }
 
-      // Validate requirements if present
-      if (testCase.requirements) {
-        if (!Array.isArray(testCase.requirements)) {
-          return false;
-        }
-        // Check if all referenced requirements exist
-        const validRequirements = testCase.requirements.every(reqId =>
-          this.requirements.has(reqId)
-        );
-        if (!validRequirements) {
-          return false;
+  /**
+   * Resolve criterion references of a test case into criterion IDs
+   * Numbers are zero-based indexes into the acceptance criteria, strings are criterion IDs.
+   * The requirement or user story owning the criteria is linked to the test as well
+   */
+  resolveCriteriaLinks(testCase) {
+    const resolved = {
+      ...testCase,
+      requirements: [...(testCase.requirements || [])],
+      userStories: [...(testCase.userStories || [])],
+      criteria: {}
+    };
+
+    Object.entries(testCase.criteria).forEach(([itemId, refs]) => {
+      const isRequirement = this.requirements.has(itemId);
+      const item = isRequirement ? this.requirements.get(itemId) : this.userStories.get(itemId);
+      if (!item) {
+        if (this.getLinkValidationMode() === LINK_VALIDATION_MODES.STRICT) {
+          throw new RTMError(`Criteria reference unknown requirement or user story ${itemId}`, 'INVALID_CRITERION');
         }
+        // The unknown item itself is handled like any other unresolved link
+        return;
       }
 
-      return true;
-    } catch (error) {
-      return false;
+      const criteria = normalizeCriteria(item.acceptanceCriteria);
+      resolved.criteria[itemId] = [].concat(refs).map(ref => {
+        const criterion = typeof ref === 'number' ? criteria[ref] : criteria.find(c => c.id === ref);
+        if (!criterion) {
+          throw new RTMError(`Unknown acceptance criterion ${ref} of ${itemId}`, 'INVALID_CRITERION');
+        }
+        return criterion.id;
+      });
+
+      const links = isRequirement ? resolved.requirements : resolved.userStories;
+      if (!links.includes(itemId)) links.push(itemId);
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Get how links to unknown requirements and user stories are handled
+   * `validateLinks: true` and `false` map onto `strict` and `off`
+   */
+  getLinkValidationMode() {
+    const { validateLinks } = this.config;
+    if (validateLinks === true) return LINK_VALIDATION_MODES.STRICT;
+    if (validateLinks === false) return LINK_VALIDATION_MODES.OFF;
+    return validateLinks;
+  }
+
+  /**
+   * Check that `validateLinks` is a boolean or a known mode
+   */
+  validateLinkValidationMode() {
+    if (!Object.values(LINK_VALIDATION_MODES).includes(this.getLinkValidationMode())) {
+      throw new RTMError(
+        `Invalid validateLinks ${this.config.validateLinks}, expected one of ${Object.values(LINK_VALIDATION_MODES).join(', ')}`,
+        'INVALID_CONFIG'
+      );
     }
   }
 
   /**
-   * Add a test case
+   * Move links to unknown requirements and user stories into `unresolvedLinks`
    */
-  addTestCase(testCase) {
+  separateUnresolvedLinks(testCase) {
+    const isUnknown = { requirements: id => !this.requirements.has(id), userStories: id => !this.userStories.has(id) };
+    const unresolvedLinks = {};
+    const separated = { ...testCase };
+
+    Object.entries(isUnknown).forEach(([field, test]) => {
+      if (!Array.isArray(testCase[field])) return;
+
+      const unknown = testCase[field].filter(test);
+      if (unknown.length > 0) {
+        unresolvedLinks[field] = unknown;
+        separated[field] = testCase[field].filter(id => !test(id));
+      }
+    });
+
+    return Object.keys(unresolvedLinks).length > 0 ? { ...separated, unresolvedLinks } : separated;
+  }
+
+  /**
+   * Turn link tokens found in test titles into requirement and user story links
+   * Tokens matching no known ID are ordinary title text and ignored
+   */
+  resolveTitleLinks({ titleLinks, ...testCase }) {
+    return this.mergeTestCase(testCase, {
+      requirements: titleLinks.filter(id => this.requirements.has(id)),
+      userStories: titleLinks.filter(id => this.userStories.has(id))
+    });
+  }
+
+  /**
+   * Add a test case, merging links into an already registered one with the same ID
+   */
+  addTestCase(update) {
+    const testCase = update.titleLinks ? this.resolveTitleLinks(update) : update;
+    const withCriteria = testCase.criteria ? this.resolveCriteriaLinks(testCase) : testCase;
+    const resolved = this.getLinkValidationMode() === LINK_VALIDATION_MODES.WARN
+      ? this.separateUnresolvedLinks(withCriteria)
+      : withCriteria;
+    const existing = this.findTestCase(resolved);
+    const merged = existing ? this.mergeTestCase(existing, resolved) : resolved;
+
     // Validate test case
-    if (!this.validateTestCase(testCase)) {
-      throw new RTMError('Invalid test case structure', 'INVALID_TEST_CASE');
+    const errors = this.getValidator().validateTestCase(merged);
+    if (errors.length > 0) {
+      throw createValidationError(`Invalid test case structure for ${merged.id}`, errors, 'INVALID_TEST_CASE');
+    }
+
+    // A record registered under a derived ID is re-keyed once an explicit ID is given
+    if (existing && existing.id !== merged.id) {
+      this.testCases.delete(existing.id);
     }
 
     // Store test case
-    this.testCases.set(testCase.id, testCase);
+    this.testCases.set(merged.id, merged);
   }
 
   /**
-   * Update the coverage.json file with new test cases and metrics
+   * Get suites enclosing a test, outermost first
    */
-  async updateCoverage() {
-    const coveragePath = path.join(this.config.outputPath, 'coverage.json');
-    let coverageData = { testCases: [], metrics: {} };
+  getSuitesForTest({ spec, titlePath }) {
+    if (!titlePath) {
+      return [];
+    }
 
-    try {
-      // Read existing coverage data if the file exists
-      if (await fs.access(coveragePath).then(() => true).catch(() => false)) {
-        const content = await fs.readFile(coveragePath, 'utf8');
-        coverageData = JSON.parse(content);
-      }
+    return Array.from(this.suites.values())
+      .filter(suite => suite.spec === spec && suite.titlePath && isTitlePathPrefix(suite.titlePath, titlePath))
+      .sort((a, b) => a.titlePath.length - b.titlePath.length);
+  }
 
-      // Append new test cases
-      for (const [testId, testCase] of this.testCases.entries()) {
-        if (!coverageData.testCases.some(tc => tc.id === testId)) {
-          coverageData.testCases.push(testCase);
-        }
+  /**
+   * Apply metadata of enclosing suites to a test case
+   * Inner suites override outer ones and the test overrides or extends them all
+   */
+  inheritSuiteMetadata(testCase) {
+    const suites = this.getSuitesForTest(testCase);
+    if (suites.length === 0) {
+      return testCase;
+    }
+
+    const inherited = suites.reduce((result, suite) => this.mergeTestCase(result, {
+      type: suite.type,
+      priority: suite.priority,
+      requirements: suite.requirements,
+      userStories: suite.userStories,
+      tags: suite.tags
+    }), {});
+
+    return {
+      ...this.mergeTestCase(inherited, testCase),
+      suites: suites.map(suite => suite.id)
+    };
+  }
+
+  /**
+   * Check whether a spec path refers to the given source file
+   */
+  isSpecOfFile(spec, file) {
+    return Boolean(spec && file) && path.resolve(spec) === path.resolve(file);
+  }
+
+  /**
+   * Find the user story and scenario a test of a Gherkin feature spec runs
+   */
+  findScenario({ spec, title }) {
+    for (const story of this.userStories.values()) {
+      const scenario = story.scenarios?.find(sc => isScenarioTitle(title, sc.name));
+      if (scenario && this.isSpecOfFile(spec, story.file)) {
+        return { story, scenario };
       }
+    }
+    return undefined;
+  }
+
+  /**
+   * Find a registered test case by ID, falling back to its spec file and title path
+   */
+  findTestCase({ id, spec, titlePath }) {
+    if (this.testCases.has(id)) {
+      return this.testCases.get(id);
+    }
+    if (!titlePath) {
+      return undefined;
+    }
+
+    const key = JSON.stringify(titlePath);
+    return Array.from(this.testCases.values()).find(tc =>
+      tc.spec === spec && tc.titlePath && JSON.stringify(tc.titlePath) === key
+    );
+  }
+
+  /**
+   * Check whether a requirement is deprecated or rejected
+   */
+  isRequirementRetired(reqId) {
+    return RETIRED_STATUSES.includes(this.requirements.get(reqId)?.status);
+  }
+
+  /**
+   * Check whether a requirement counts towards coverage, i.e. it is neither a draft nor retired
+   */
+  isRequirementInScope(reqId) {
+    return this.requirements.has(reqId) &&
+      this.requirements.get(reqId).status !== REQUIREMENT_STATUSES.DRAFT &&
+      !this.isRequirementRetired(reqId);
+  }
+
+  /**
+   * Check whether a requirement is an epic or feature with requirements below it
+   * Such groups are scored through the rollup of their subtree, not as requirements of their own
+   */
+  isRequirementGroup(reqId) {
+    return GROUP_LEVELS.includes(this.requirements.get(reqId)?.level) &&
+      Array.from(this.requirements.values()).some(req => req.parent === reqId);
+  }
+
+  /**
+   * Get the requirements counting towards coverage, gates and risk
+   */
+  getRequirementsInScope() {
+    return Array.from(this.requirements.values())
+      .filter(req => this.isRequirementInScope(req.id) && !this.isRequirementGroup(req.id));
+  }
 
-      // Calculate aggregated metrics
-      const totalTestCases = coverageData.testCases.length;
-      const passedTestCases = coverageData.testCases.filter(tc => tc.status === 'passed').length;
-      const failedTestCases = coverageData.testCases.filter(tc => tc.status === 'failed').length;
-      const skippedTestCases = coverageData.testCases.filter(tc => tc.status === 'skipped').length;
-
-      const totalRequirements = this.requirements.size;
-      const coveredRequirements = new Set(
-        coverageData.testCases.flatMap(tc => tc.requirements || [])
-      ).size;
-
-      coverageData.metrics = {
-        totalTestCases,
-        passedTestCases,
-        failedTestCases,
-        skippedTestCases,
-        totalRequirements,
-        coveredRequirements,
-        coveragePercentage: totalRequirements ? (coveredRequirements / totalRequirements) * 100 : 0
+  /**
+   * Get the test types accepted as verification of a requirement type
+   * Returns undefined when no rule is configured and any test type counts
+   */
+  getConformingTestTypes(requirementType) {
+    const testTypes = this.config.typeRules[requirementType];
+    return testTypes === undefined ? undefined : [].concat(testTypes);
+  }
+
+  /**
+   * Classify the coverage of a requirement by the types of its linked tests
+   * A requirement linked only through non-conforming test types is partially covered
+   */
+  getRequirementCoverage(reqId) {
+    const req = this.requirements.get(reqId);
+    const tests = Array.from(this.testCases.values()).filter(tc => tc.requirements?.includes(reqId));
+    const requiredTestTypes = this.getConformingTestTypes(req?.type);
+    const conforming = requiredTestTypes ? tests.filter(tc => requiredTestTypes.includes(tc.type)) : tests;
+
+    let status = 'uncovered';
+    if (conforming.length > 0) {
+      status = 'covered';
+    } else if (tests.length > 0) {
+      status = 'partial';
+    }
+
+    return {
+      status,
+      requiredTestTypes,
+      tests: tests.map(tc => tc.id),
+      conformingTests: conforming.map(tc => tc.id)
+    };
+  }
+
+  /**
+   * Check whether a requirement is verified by at least one conforming test
+   */
+  isRequirementCovered(reqId) {
+    return this.getRequirementCoverage(reqId).status === 'covered';
+  }
+
+  /**
+   * Record the execution result of a registered test case
+   * Returns false when the test was never linked through RTM
+   */
+  recordTestResult(testId, result) {
+    const testCase = this.testCases.get(testId);
+    if (!testCase) {
+      return false;
+    }
+
+    if (!Object.values(TEST_STATUSES).includes(result.status)) {
+      throw new RTMError(`Invalid test status for ${testId}: ${result.status}`, 'INVALID_TEST_STATUS');
+    }
+
+    this.testCases.set(testId, {
+      ...testCase,
+      status: result.status,
+      duration: result.duration,
+      attempts: result.attempts,
+      error: result.error
+    });
+
+    return true;
+  }
+
+  /**
+   * Record the current run in the coverage history and write coverage.json
+   * with its metrics and the per-requirement trend over the retained runs
+   * A filtered run only ran some tests, so it's left out of the history and trends compare full runs
+   */
+  async updateCoverage(runResults = {}) {
+    const coveragePath = path.join(this.config.outputPath, 'coverage.json');
+
+    try {
+      const history = new RTMHistory(this);
+      const { testCases, requirements, ...run } = this.filter
+        ? await history.buildRun(runResults)
+        : await history.recordRun(runResults);
+      const runs = await history.loadRuns();
+
+      const coverageData = {
+        run,
+        trends: history.calculateRequirementTrends(runs)
       };
 
-      // Write updated coverage data to file
       await fs.writeFile(coveragePath, JSON.stringify(coverageData, null, 2));
+      return coverageData;
     } catch (error) {
       throw new RTMError(`Failed to update coverage: ${error.message}`, 'COVERAGE_UPDATE_ERROR');
     }
@@ -227,43 +690,60 @@ class CypressRTM {
   /**
    * Generate reports
    */
-  async generateReports() {
+  async generateReports(runResults = {}) {
     try {
-      // Generate data22.json (without coverage section)
-      const data22Path = path.join(this.config.outputPath, 'data22.json');
-      const data22 = {
-        timestamp: new Date().toISOString(),
-        summary: {
-          totalRequirements: this.requirements.size,
-          totalUserStories: this.userStories.size,
-          totalTestCases: this.testCases.size,
-          execution: {
-            passed: Array.from(this.testCases.values()).filter(tc => tc.status === 'passed').length,
-            failed: Array.from(this.testCases.values()).filter(tc => tc.status === 'failed').length,
-            skipped: Array.from(this.testCases.values()).filter(tc => tc.status === 'skipped').length,
-            percentagePassed: this.testCases.size ?
-              (Array.from(this.testCases.values()).filter(tc => tc.status === 'passed').length / this.testCases.size) * 100 : 0
-          }
-        },
-        execution: {
-          testCases: Array.from(this.testCases.values())
-        },
-        uncovered: {
-          requirements: Array.from(this.requirements.keys())
-            .filter(reqId => !Array.from(this.testCases.values()).some(tc => tc.requirements?.includes(reqId))),
-          userStories: Array.from(this.userStories.keys())
-            .filter(storyId => !Array.from(this.testCases.values()).some(tc => tc.userStories?.includes(storyId)))
-        }
-      };
-
-      await fs.writeFile(data22Path, JSON.stringify(data22, null, 2));
-
-      // Update coverage.json
-      await this.updateCoverage();
+      // Update coverage history first so reports include the run and trends
+      const coverage = await this.updateCoverage(runResults);
+      const baseline = await new RTMBaseline(this).update(coverage.run);
+
+      const reportGenerator = new RTMReportGenerator(this);
+      await reportGenerator.generateReports({
+        ...coverage,
+        baseline,
+        qualityGates: this.evaluateQualityGates()
+      });
     } catch (error) {
       throw new RTMError(`Failed to generate reports: ${error.message}`, 'REPORT_GENERATION_ERROR');
     }
   }
+
+  /**
+   * Re-verify tests against the current requirements, clearing their suspect status
+   * @param {string[]} testIds - Tests recorded in the requirement baseline
+   * @returns {Promise<Array<{testId: string, requirements: string[]}>>} Re-verified tests and their changed requirements
+   */
+  async reverifyTests(testIds) {
+    try {
+      return await new RTMBaseline(this).reverify(testIds);
+    } catch (error) {
+      throw new RTMError(`Failed to re-verify tests: ${error.message}`, 'BASELINE_ERROR');
+    }
+  }
+
+  /**
+   * Evaluate the configured coverage quality gates
+   */
+  evaluateQualityGates() {
+    return new RTMQualityGates(this).evaluate();
+  }
+
+  /**
+   * Throw when any configured quality gate is violated
+   */
+  assertQualityGates() {
+    const result = this.evaluateQualityGates();
+    if (result.passed) {
+      return result;
+    }
+
+    const violations = result.violations.map(violation => `  - ${violation.message}`).join('\n');
+    const error = new RTMError(
+      `RTM quality gates failed with ${result.violations.length} violation(s):\n${violations}`,
+      'QUALITY_GATE_FAILED'
+    );
+    error.violations = result.violations;
+    throw error;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,110 @@
+// src/filter.js
+const fs = require('fs').promises;
+const path = require('path');
+const RTMHierarchy = require('./hierarchy');
+const { parseSpec } = require('./spec-parser');
+
+class RTMFilter {
+  constructor(rtm) {
+    this.rtm = rtm;
+
+    // Parsed spec files keyed by absolute path, undefined when a spec can't be parsed
+    this.specs = new Map();
+  }
+
+  /**
+   * Get the links a spec file declares for a test without running it
+   */
+  async getSpecLinks({ spec, absolute, titlePath }) {
+    const file = absolute || path.resolve(spec);
+    if (!this.specs.has(file)) {
+      try {
+        this.specs.set(file, parseSpec(await fs.readFile(file, 'utf8'), spec || file));
+      } catch (error) {
+        // Links are then only taken from suites, titles and test config
+        this.specs.set(file, undefined);
+      }
+    }
+
+    const key = JSON.stringify(titlePath);
+    const parsed = this.specs.get(file)?.tests.find(test => JSON.stringify(test.titlePath) === key);
+    return parsed ? parsed.links : [];
+  }
+
+  /**
+   * Collect the links, tags and priority of a test from everything known before it runs:
+   * link commands found in its spec, links declared in its titles and test config, and suite metadata
+   */
+  async getTestMetadata(test) {
+    const { titleLinks = [], metadata = {} } = test;
+    const declared = {
+      ...metadata,
+      requirements: [].concat(metadata.requirements || []),
+      userStories: [].concat(metadata.userStories || []),
+      titleLinks
+    };
+
+    const links = [...await this.getSpecLinks(test), declared];
+    const linked = links.reduce(
+      (result, link) => this.rtm.mergeTestCase(result, link.titleLinks ? this.rtm.resolveTitleLinks(link) : link),
+      {}
+    );
+    const testCase = this.rtm.inheritSuiteMetadata({ ...linked, spec: test.spec, titlePath: test.titlePath });
+
+    return {
+      ...testCase,
+      priority: testCase.priority || this.rtm.getDefaultTaxonomyValue('testPriorities')
+    };
+  }
+
+  /**
+   * Get the IDs of requirements a filter selects, with the descendants of each in the hierarchy
+   * Undefined when the filter doesn't select requirements
+   */
+  getFilterRequirements(filter) {
+    if (!filter.requirements) return undefined;
+
+    const hierarchy = new RTMHierarchy(this.rtm);
+    return filter.requirements.flatMap(reqId => (
+      this.rtm.requirements.has(reqId) ? hierarchy.getSubtreeRequirements(reqId).map(req => req.id) : [reqId]
+    ));
+  }
+
+  /**
+   * Check whether the links, tags and priority of a test case match every field of a filter
+   */
+  matchesTestCase(filter, testCase) {
+    const requirements = this.getFilterRequirements(filter);
+    const intersects = (values = [], selected) => values.some(value => selected.includes(value));
+
+    return (!requirements || intersects(testCase.requirements, requirements)) &&
+      (!filter.userStories || intersects(testCase.userStories, filter.userStories)) &&
+      (!filter.tags || intersects(testCase.tags, filter.tags)) &&
+      (!filter.priorities || filter.priorities.includes(testCase.priority));
+  }
+
+  /**
+   * Check whether a test matches every field of a filter, any value of a field matches
+   * Requirements select the tests of their descendants too, so filtering by an epic runs all of it
+   * @param {Object} filter - Values per field, see `parseFilter`
+   * @param {Object} test - Spec, title path and declared links of the test
+   * @returns {Promise<boolean>}
+   */
+  async matches(filter, test) {
+    return this.matchesTestCase(filter, await this.getTestMetadata(test));
+  }
+
+  /**
+   * Get the IDs of requirements a filtered run verifies: those the filter selects,
+   * or without a requirement filter those linked to the selected test cases
+   */
+  getSelectedRequirements(filter) {
+    return this.getFilterRequirements(filter) || [...new Set(
+      Array.from(this.rtm.testCases.values())
+        .filter(tc => this.matchesTestCase(filter, tc))
+        .flatMap(tc => tc.requirements || [])
+    )];
+  }
+}
+
+module.exports = RTMFilter;
@@ -0,0 +1,124 @@
+// src/gherkin.js
+const path = require('path');
+
+/**
+ * Tag patterns identifying user stories and requirements by default
+ */
+const DEFAULT_TAG_PATTERNS = {
+  storyTagPattern: '^US-',
+  requirementTagPattern: '^REQ-'
+};
+
+const FEATURE_PATTERN = /^Feature:\s*(.*)$/;
+const SCENARIO_PATTERN = /^(?:Scenario|Scenario Outline|Scenario Template|Example):\s*(.*)$/;
+const SECTION_PATTERN = /^(?:Background|Rule|Examples|Scenarios):/;
+const DOC_STRING_PATTERN = /^("""|```)/;
+
+/**
+ * Split a tag line into tag names without the leading @
+ */
+function parseTags(line) {
+  return line.split(/\s+/).filter(tag => tag.startsWith('@')).map(tag => tag.slice(1));
+}
+
+/**
+ * Parse the parts of a Gherkin document used for traceability:
+ * the feature with its tags and description, and every scenario with its tags
+ */
+function parseFeature(content) {
+  const feature = { name: undefined, tags: [], description: [], scenarios: [] };
+  let pendingTags = [];
+  let section = null;
+  let inDocString = false;
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (DOC_STRING_PATTERN.test(line)) {
+      inDocString = !inDocString;
+      return;
+    }
+    if (inDocString || line.startsWith('#')) {
+      return;
+    }
+
+    if (line.startsWith('@')) {
+      pendingTags.push(...parseTags(line));
+      return;
+    }
+
+    const featureMatch = line.match(FEATURE_PATTERN);
+    if (featureMatch) {
+      feature.name = featureMatch[1].trim();
+      feature.tags = pendingTags;
+      pendingTags = [];
+      section = 'feature';
+      return;
+    }
+
+    const scenarioMatch = line.match(SCENARIO_PATTERN);
+    if (scenarioMatch) {
+      feature.scenarios.push({ name: scenarioMatch[1].trim(), tags: pendingTags });
+      pendingTags = [];
+      section = 'scenario';
+      return;
+    }
+
+    if (SECTION_PATTERN.test(line)) {
+      pendingTags = [];
+      section = 'other';
+      return;
+    }
+
+    // Free text between the Feature line and the first scenario is the feature description
+    if (section === 'feature' && line) {
+      feature.description.push(line);
+    }
+  });
+
+  return feature;
+}
+
+/**
+ * Load a user story from a Gherkin feature file
+ * The feature tag matching `options.gherkin.storyTagPattern` is the story ID (file name otherwise),
+ * scenarios become acceptance criteria and tags matching `requirementTagPattern` become requirement links
+ */
+function loadFeature(content, options = {}) {
+  const { storyTagPattern, requirementTagPattern } = { ...DEFAULT_TAG_PATTERNS, ...options.gherkin };
+  const storyPattern = new RegExp(storyTagPattern);
+  const requirementPattern = new RegExp(requirementTagPattern);
+
+  const feature = parseFeature(content);
+  if (!feature.name) {
+    throw new Error('No Feature found');
+  }
+
+  const storyTag = feature.tags.find(tag => storyPattern.test(tag));
+  const featureRequirements = feature.tags.filter(tag => requirementPattern.test(tag));
+  const scenarios = feature.scenarios.map(scenario => ({
+    name: scenario.name,
+    tags: scenario.tags,
+    requirements: scenario.tags.filter(tag => requirementPattern.test(tag))
+  }));
+
+  return [{
+    id: storyTag || path.basename(options.file || '', path.extname(options.file || '')),
+    title: feature.name,
+    ...(feature.description.length > 0 && { description: feature.description.join('\n') }),
+    acceptanceCriteria: scenarios.map(scenario => scenario.name),
+    linkedRequirements: [...new Set([
+      ...featureRequirements,
+      ...scenarios.flatMap(scenario => scenario.requirements)
+    ])],
+    tags: feature.tags.filter(tag => tag !== storyTag && !requirementPattern.test(tag)),
+    scenarios,
+    file: options.file
+  }];
+}
+
+module.exports = {
+  DEFAULT_TAG_PATTERNS,
+  parseFeature,
+  loadFeature
+};
@@ -0,0 +1,187 @@
+// src/hierarchy.js
+const { aggregateStatus } = require('./utils');
+const { REQUIREMENT_LEVELS } = require('./constants');
+
+/**
+ * Rank of each level, parents must not rank below their children
+ */
+const LEVEL_RANKS = {
+  [REQUIREMENT_LEVELS.EPIC]: 0,
+  [REQUIREMENT_LEVELS.FEATURE]: 1,
+  [REQUIREMENT_LEVELS.REQUIREMENT]: 2
+};
+
+class RTMHierarchy {
+  constructor(rtm) {
+    this.rtm = rtm;
+  }
+
+  /**
+   * Get the level of a requirement, plain requirements when not set
+   */
+  getLevel(req) {
+    return req.level || REQUIREMENT_LEVELS.REQUIREMENT;
+  }
+
+  /**
+   * Get requirements whose parent is the given requirement
+   */
+  getChildRequirements(reqId) {
+    return Array.from(this.rtm.requirements.values()).filter(req => req.parent === reqId);
+  }
+
+  /**
+   * Get user stories below a requirement, either by their parent or the requirement's userStory
+   */
+  getChildUserStories(reqId) {
+    const req = this.rtm.requirements.get(reqId);
+    return Array.from(this.rtm.userStories.values())
+      .filter(story => story.parent === reqId || req?.userStory === story.id);
+  }
+
+  /**
+   * Get a requirement and all requirements below it, depth first
+   */
+  getSubtreeRequirements(reqId) {
+    const req = this.rtm.requirements.get(reqId);
+    return [req, ...this.getChildRequirements(reqId).flatMap(child => this.getSubtreeRequirements(child.id))];
+  }
+
+  /**
+   * Find dangling references and cycles between requirements and user stories
+   * @returns {string[]} Problems found, empty when the hierarchy is consistent
+   */
+  validate() {
+    const errors = [];
+    const { requirements, userStories } = this.rtm;
+
+    requirements.forEach((req, reqId) => {
+      if (req.parent !== undefined) {
+        const parent = requirements.get(req.parent);
+        if (!parent) {
+          errors.push(`${reqId} references unknown parent ${req.parent}`);
+        } else if (LEVEL_RANKS[this.getLevel(parent)] > LEVEL_RANKS[this.getLevel(req)]) {
+          errors.push(`${reqId} (${this.getLevel(req)}) cannot be a child of ${req.parent} (${this.getLevel(parent)})`);
+        }
+      }
+      if (req.userStory !== undefined && !userStories.has(req.userStory)) {
+        errors.push(`${reqId} references unknown user story ${req.userStory}`);
+      }
+      (req.relatedRequirements || [])
+        .filter(relatedId => !requirements.has(relatedId))
+        .forEach(relatedId => errors.push(`${reqId} references unknown related requirement ${relatedId}`));
+    });
+
+    userStories.forEach((story, storyId) => {
+      if (story.parent !== undefined && !requirements.has(story.parent)) {
+        errors.push(`${storyId} references unknown parent ${story.parent}`);
+      }
+    });
+
+    errors.push(...this.findCycles());
+    return errors;
+  }
+
+  /**
+   * Find requirements whose parent chain leads back to themselves
+   */
+  findCycles() {
+    const reported = new Set();
+    const errors = [];
+
+    this.rtm.requirements.forEach((req, reqId) => {
+      const chain = [reqId];
+      let current = req;
+
+      while (current?.parent !== undefined && this.rtm.requirements.has(current.parent)) {
+        if (current.parent === reqId) {
+          const key = [...chain].sort().join();
+          if (!reported.has(key)) {
+            reported.add(key);
+            errors.push(`Circular parent chain ${[...chain, reqId].join(' -> ')}`);
+          }
+          break;
+        }
+        if (chain.includes(current.parent)) break;
+
+        chain.push(current.parent);
+        current = this.rtm.requirements.get(current.parent);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Aggregate coverage and execution of everything below a requirement
+   * Coverage counts the in-scope leaf requirements of the subtree, tests are those linked
+   * to any requirement or user story in it
+   */
+  getRollup(reqId) {
+    const subtree = this.getSubtreeRequirements(reqId);
+    const reqIds = subtree.map(req => req.id);
+    const storyIds = [...new Set(reqIds.flatMap(id => this.getChildUserStories(id).map(story => story.id)))];
+    const leaves = reqIds.filter(id => this.getChildRequirements(id).length === 0 && this.rtm.isRequirementInScope(id));
+    const testCases = Array.from(this.rtm.testCases.values());
+
+    const coveredRequirements = leaves.filter(id => this.rtm.isRequirementCovered(id)).length;
+    const coveredUserStories = storyIds.filter(id => testCases.some(tc => tc.userStories?.includes(id))).length;
+
+    const tests = testCases.filter(tc =>
+      tc.requirements?.some(id => reqIds.includes(id)) || tc.userStories?.some(id => storyIds.includes(id))
+    );
+    const passed = tests.filter(tc => tc.status === 'passed').length;
+
+    return {
+      requirements: {
+        total: leaves.length,
+        covered: coveredRequirements,
+        percentage: leaves.length ? (coveredRequirements / leaves.length) * 100 : 0
+      },
+      userStories: {
+        total: storyIds.length,
+        covered: coveredUserStories,
+        percentage: storyIds.length ? (coveredUserStories / storyIds.length) * 100 : 0
+      },
+      tests: {
+        total: tests.length,
+        passed,
+        failed: tests.filter(tc => tc.status === 'failed').length,
+        skipped: tests.filter(tc => tc.status === 'skipped').length,
+        passRate: tests.length ? (passed / tests.length) * 100 : 0
+      },
+      status: aggregateStatus(tests)
+    };
+  }
+
+  /**
+   * Build a tree node for a requirement with its rollup and children
+   */
+  buildNode(req) {
+    return {
+      id: req.id,
+      level: this.getLevel(req),
+      title: req.title,
+      priority: req.priority,
+      rollup: this.getRollup(req.id),
+      userStories: this.getChildUserStories(req.id).map(story => story.id),
+      children: this.getChildRequirements(req.id).map(child => this.buildNode(child))
+    };
+  }
+
+  /**
+   * Build the requirement tree, rooted at top-level epics, features and
+   * requirements that have children
+   */
+  getTree() {
+    return Array.from(this.rtm.requirements.values())
+      .filter(req => req.parent === undefined && (
+        this.getLevel(req) !== REQUIREMENT_LEVELS.REQUIREMENT ||
+        this.getChildRequirements(req.id).length > 0 ||
+        this.getChildUserStories(req.id).length > 0
+      ))
+      .map(req => this.buildNode(req));
+  }
+}
+
+module.exports = RTMHierarchy;
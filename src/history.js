@@ -0,0 +1,187 @@
+// src/history.js
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const RTMRisk = require('./risk');
+const { aggregateStatus } = require('./utils');
+const { REQUIREMENT_STATUSES } = require('./constants');
+
+const execFileAsync = promisify(execFile);
+
+class RTMHistory {
+  constructor(rtm) {
+    this.rtm = rtm;
+    this.historyPath = path.join(rtm.config.outputPath, 'history');
+    this.indexPath = path.join(this.historyPath, 'index.json');
+  }
+
+  /**
+   * Read commit and branch of the working copy, if it is a git repository
+   */
+  async getGitInfo() {
+    try {
+      const { stdout: commit } = await execFileAsync('git', ['rev-parse', 'HEAD']);
+      const { stdout: branch } = await execFileAsync('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+      return { commit: commit.trim(), branch: branch.trim() };
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Build run metadata from the Cypress after:run results
+   */
+  async getRunMetadata(runResults = {}) {
+    const timestamp = new Date().toISOString();
+
+    return {
+      runId: `run-${timestamp.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp,
+      git: await this.getGitInfo(),
+      browser: runResults.browserName ? {
+        name: runResults.browserName,
+        version: runResults.browserVersion
+      } : undefined,
+      cypressVersion: runResults.cypressVersion,
+      filter: this.rtm.filter
+    };
+  }
+
+  /**
+   * Determine the status of a requirement from its linked tests in the current run
+   */
+  getRequirementStatus(reqId) {
+    return aggregateStatus(
+      Array.from(this.rtm.testCases.values()).filter(tc => tc.requirements?.includes(reqId))
+    );
+  }
+
+  /**
+   * Calculate coverage metrics of the current run
+   * Coverage is 100% without requirements in scope, as in the reports and the coverage gate
+   */
+  calculateMetrics() {
+    const testCases = Array.from(this.rtm.testCases.values());
+    const requirements = this.rtm.getRequirementsInScope();
+    const totalRequirements = requirements.length;
+    const coverage = requirements.map(req => this.rtm.getRequirementCoverage(req.id));
+    const coveredRequirements = coverage.filter(entry => entry.status === 'covered').length;
+    const risk = new RTMRisk(this.rtm);
+
+    return {
+      totalTestCases: testCases.length,
+      passedTestCases: testCases.filter(tc => tc.status === 'passed').length,
+      failedTestCases: testCases.filter(tc => tc.status === 'failed').length,
+      skippedTestCases: testCases.filter(tc => tc.status === 'skipped').length,
+      totalRequirements,
+      coveredRequirements,
+      partiallyCoveredRequirements: coverage.filter(entry => entry.status === 'partial').length,
+      draftRequirements: Array.from(this.rtm.requirements.values()).filter(req => req.status === REQUIREMENT_STATUSES.DRAFT).length,
+      coveragePercentage: totalRequirements ? (coveredRequirements / totalRequirements) * 100 : 100,
+      weightedCoveragePercentage: risk.calculateWeightedCoverage(),
+      byPriority: risk.getPriorityBreakdown()
+    };
+  }
+
+  /**
+   * Load the history index, oldest run first
+   */
+  async loadIndex() {
+    try {
+      const content = await fs.readFile(this.indexPath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { runs: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load full records of the runs listed in the index, oldest first
+   */
+  async loadRuns() {
+    const index = await this.loadIndex();
+    const runs = await Promise.all(index.runs.map(async ({ runId }) => {
+      try {
+        const content = await fs.readFile(path.join(this.historyPath, `${runId}.json`), 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        // A run file removed by hand is skipped rather than failing the report
+        return null;
+      }
+    }));
+
+    return runs.filter(Boolean);
+  }
+
+  /**
+   * Build the record of the current run with its metadata, metrics, requirement statuses and test cases
+   */
+  async buildRun(runResults = {}) {
+    return {
+      ...await this.getRunMetadata(runResults),
+      metrics: this.calculateMetrics(),
+      requirements: Object.fromEntries(
+        Array.from(this.rtm.requirements.keys()).map(reqId => [reqId, this.getRequirementStatus(reqId)])
+      ),
+      testCases: Array.from(this.rtm.testCases.values())
+    };
+  }
+
+  /**
+   * Store the current run as its own record and add it to the history index
+   * Runs beyond the configured history size are removed, oldest first
+   */
+  async recordRun(runResults = {}) {
+    await fs.mkdir(this.historyPath, { recursive: true });
+
+    const run = await this.buildRun(runResults);
+    const { metrics, requirements, testCases, ...metadata } = run;
+
+    await fs.writeFile(path.join(this.historyPath, `${run.runId}.json`), JSON.stringify(run, null, 2));
+
+    const index = await this.loadIndex();
+    index.runs.push({ ...metadata, metrics });
+
+    const expired = index.runs.splice(0, Math.max(0, index.runs.length - this.rtm.config.historySize));
+    await Promise.all(expired.map(({ runId }) =>
+      fs.rm(path.join(this.historyPath, `${runId}.json`), { force: true })
+    ));
+
+    await fs.writeFile(this.indexPath, JSON.stringify(index, null, 2));
+    return run;
+  }
+
+  /**
+   * Calculate the pass/fail trend of every requirement over the given runs
+   */
+  calculateRequirementTrends(runs) {
+    return Object.fromEntries(Array.from(this.rtm.requirements.keys()).map(reqId => {
+      const history = runs.map(run => ({
+        runId: run.runId,
+        timestamp: run.timestamp,
+        status: run.requirements?.[reqId] || 'uncovered'
+      }));
+
+      // Most recent run where a previously passing requirement started failing
+      let lastRegression = null;
+      history.forEach((entry, index) => {
+        if (index > 0 && entry.status === 'failed' && history[index - 1].status === 'passed') {
+          lastRegression = { runId: entry.runId, timestamp: entry.timestamp };
+        }
+      });
+
+      return [reqId, {
+        history,
+        passed: history.filter(entry => entry.status === 'passed').length,
+        failed: history.filter(entry => entry.status === 'failed').length,
+        lastRegression
+      }];
+    }));
+  }
+}
+
+module.exports = RTMHistory;
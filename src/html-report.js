@@ -0,0 +1,577 @@
+// src/html-report.js
+
+/**
+ * Status labels and colours used across the HTML report
+ */
+const STATUS_STYLES = {
+  passed: { label: 'Passed', symbol: '&#10003;', color: '#1a7f37' },
+  failed: { label: 'Failed', symbol: '&#10007;', color: '#cf222e' },
+  skipped: { label: 'Skipped', symbol: '&#8211;', color: '#9a6700' },
+  'not-run': { label: 'Not run', symbol: '&#8226;', color: '#57606a' },
+  uncovered: { label: 'Uncovered', symbol: '&#9675;', color: '#8c959f' },
+  partial: { label: 'Partially covered', symbol: '&#9680;', color: '#bc4c00' }
+};
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; color: #1f2328; background: #f6f8fa; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 32px 0 12px; font-size: 18px; }
+  .meta { color: #57606a; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 20px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 160px; }
+  .card .value { font-size: 24px; font-weight: 600; }
+  .card .label { color: #57606a; font-size: 12px; text-transform: uppercase; }
+  .scroll { overflow-x: auto; }
+  table { border-collapse: collapse; background: #fff; font-size: 13px; }
+  th, td { border: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  th.test { writing-mode: vertical-rl; transform: rotate(180deg); white-space: nowrap; max-height: 200px; }
+  td.cell { text-align: center; font-weight: 700; }
+  .status { font-weight: 600; }
+  .empty { color: #57606a; font-style: italic; }
+  .error { color: #cf222e; white-space: pre-wrap; font-family: monospace; font-size: 12px; }
+  ul { margin: 0; padding-left: 20px; }
+`;
+
+/**
+ * Escape a value for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatPercentage(value) {
+  return `${Number(value || 0).toFixed(1)}%`;
+}
+
+function renderStatus(status) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES['not-run'];
+  return `<span class="status" style="color:${style.color}">${style.label}</span>`;
+}
+
+/**
+ * Render a taxonomy value with its configured label and colour
+ */
+function renderTaxonomy(data, name, value) {
+  const entry = data.taxonomies?.[name]?.find(candidate => candidate.value === value);
+  if (!entry) {
+    return escapeHtml(value);
+  }
+  const style = entry.color ? ` style="color:${escapeHtml(entry.color)}"` : '';
+  return `<span${style} title="${escapeHtml(entry.value)}">${escapeHtml(entry.label)}</span>`;
+}
+
+function renderSummary(data) {
+  const { summary, coverage, risk } = data;
+  const cards = [
+    ['Requirement coverage', formatPercentage(coverage.requirements.percentage)],
+    ['Weighted coverage', formatPercentage(risk.weightedCoverage)],
+    ['User story coverage', formatPercentage(coverage.userStories.percentage)],
+    ['Requirements', `${coverage.requirements.covered} / ${coverage.requirements.total}`],
+    ['Partially covered', coverage.requirements.partial],
+    ['User stories', `${coverage.userStories.covered} / ${coverage.userStories.total}`],
+    ['Test cases', summary.totalTestCases],
+    ['Passed', summary.execution.passed],
+    ['Failed', summary.execution.failed],
+    ['Skipped', summary.execution.skipped],
+    ['Pass rate', formatPercentage(summary.execution.percentagePassed)],
+    ...(data.baseline ? [['Suspect tests', data.baseline.suspectTests.length]] : [])
+  ];
+
+  return `<div class="cards">${cards.map(([label, value]) => `
+    <div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join('')}
+  </div>`;
+}
+
+function renderMatrix(data) {
+  const testCases = data.execution.testCases;
+  if (data.matrix.length === 0) {
+    return '<p class="empty">No requirements in scope.</p>';
+  }
+
+  const header = testCases
+    .map(tc => `<th class="test" title="${escapeHtml(tc.id)}">${escapeHtml(tc.title)}</th>`)
+    .join('');
+
+  const rows = data.matrix.map(row => {
+    const tests = new Map(row.tests.map(test => [test.id, test]));
+    const cells = testCases.map(tc => {
+      if (!tests.has(tc.id)) {
+        return '<td class="cell"></td>';
+      }
+      const test = tests.get(tc.id);
+      const style = STATUS_STYLES[test.status] || STATUS_STYLES['not-run'];
+      const title = test.suspect ? `${style.label}, suspect since the requirement changed` : style.label;
+      return `<td class="cell" style="color:${style.color}" title="${title}">${style.symbol}${test.suspect ? '?' : ''}</td>`;
+    }).join('');
+
+    return `<tr>
+      <th>${escapeHtml(row.requirementId)}</th>
+      <td>${escapeHtml(row.title)}</td>
+      <td>${renderTaxonomy(data, 'requirementPriorities', row.priority)}</td>
+      <td>${renderStatus(row.coverage)}</td>
+      <td>${row.tests.length}</td>${cells}
+    </tr>`;
+  }).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Requirement</th><th>Title</th><th>Priority</th><th>Coverage</th><th>Tests</th>${header}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderVerification(data) {
+  const entries = data.verification.requirements.filter(entry => entry.automated.length > 0 || entry.manual.length > 0);
+  if (entries.length === 0) {
+    return '<p class="empty">No requirements with linked tests.</p>';
+  }
+
+  const renderTests = tests => tests.map(test => `${escapeHtml(test.id)} ${renderStatus(test.status)}`).join('<br>');
+  const rows = entries.map(entry => `<tr>
+      <th>${escapeHtml(entry.requirementId)}</th>
+      <td>${escapeHtml(entry.title)}</td>
+      <td>${renderTests(entry.automated)}</td>
+      <td>${renderTests(entry.manual)}</td>
+      <td>${entry.automated.length === 0 ? '<strong>Manual only</strong>' : ''}</td>
+    </tr>`).join('');
+
+  return `<div class="meta">${data.verification.automated} requirement(s) verified by automated tests, ${data.verification.manual} by manual tests, ${data.verification.manualOnly.length} only manually</div>
+  <div class="scroll"><table>
+    <thead><tr><th>Requirement</th><th>Title</th><th>Automated tests</th><th>Manual tests</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderUncovered(items, lookup) {
+  if (items.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+
+  return `<ul>${items.map(id => {
+    const item = lookup.find(entry => entry.id === id);
+    return `<li><strong>${escapeHtml(id)}</strong>${item ? ` &mdash; ${escapeHtml(item.title)}` : ''}</li>`;
+  }).join('')}</ul>`;
+}
+
+function renderPartiallyCovered(data) {
+  const items = data.partiallyCovered;
+  if (items.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+
+  const rows = items.map(item => `<tr>
+      <th>${escapeHtml(item.requirementId)}</th>
+      <td>${escapeHtml(item.title)}</td>
+      <td>${renderTaxonomy(data, 'requirementTypes', item.type)}</td>
+      <td>${escapeHtml(item.requiredTestTypes.join(', '))}</td>
+      <td>${escapeHtml(item.tests.join(', '))}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Requirement</th><th>Title</th><th>Type</th><th>Required test types</th><th>Linked tests</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderDraftRequirements(data) {
+  if (data.draftRequirements.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+
+  const rows = data.draftRequirements.map(item => `<tr>
+      <th>${escapeHtml(item.requirementId)}</th>
+      <td>${escapeHtml(item.title)}</td>
+      <td>${renderTaxonomy(data, 'requirementPriorities', item.priority)}</td>
+      <td>${escapeHtml(item.tests.join(', '))}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Requirement</th><th>Title</th><th>Priority</th><th>Linked tests</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderRetiredLinks(data) {
+  if (data.retiredLinks.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+
+  const rows = data.retiredLinks.map(entry => {
+    const requirements = entry.requirements.map(reqId => {
+      const req = data.requirements.find(candidate => candidate.id === reqId);
+      return `${reqId} (${req?.status})`;
+    });
+
+    return `<tr>
+      <th>${escapeHtml(entry.testId)}</th>
+      <td>${escapeHtml(entry.title)}</td>
+      <td>${escapeHtml(requirements.join(', '))}</td>
+    </tr>`;
+  }).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Test</th><th>Title</th><th>Retired requirements</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderUnresolvedLinks(data) {
+  if (data.unresolvedLinks.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+
+  const rows = data.unresolvedLinks.map(entry => `<tr>
+      <th>${escapeHtml(entry.testId)}</th>
+      <td>${escapeHtml(entry.title)}</td>
+      <td>${escapeHtml(entry.requirements.join(', '))}</td>
+      <td>${escapeHtml(entry.userStories.join(', '))}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Test</th><th>Title</th><th>Unknown requirements</th><th>Unknown user stories</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderRunInfo(run) {
+  if (!run) {
+    return '';
+  }
+
+  const parts = [`Run ${escapeHtml(run.runId)}`];
+  if (run.git) {
+    parts.push(`${escapeHtml(run.git.branch)} @ ${escapeHtml(run.git.commit.slice(0, 7))}`);
+  }
+  if (run.browser) {
+    parts.push(`${escapeHtml(run.browser.name)} ${escapeHtml(run.browser.version)}`);
+  }
+  if (run.cypressVersion) {
+    parts.push(`Cypress ${escapeHtml(run.cypressVersion)}`);
+  }
+
+  return `<div class="meta">${parts.join(' &middot; ')}</div>`;
+}
+
+function renderFilter(filter) {
+  if (!filter) {
+    return '';
+  }
+
+  const parts = Object.entries(filter).map(([field, values]) => `${escapeHtml(field)}: ${escapeHtml(values.join(', '))}`);
+  return `<div class="meta">Filtered by ${parts.join(' &middot; ')}</div>`;
+}
+
+function renderQualityGates(qualityGates) {
+  if (!qualityGates || qualityGates.evaluated.length === 0) {
+    return '<p class="empty">No quality gates configured.</p>';
+  }
+
+  const status = qualityGates.passed ? 'passed' : 'failed';
+  const violations = qualityGates.violations.length === 0 ? '' :
+    `<ul>${qualityGates.violations.map(violation => `<li>${escapeHtml(violation.message)}</li>`).join('')}</ul>`;
+
+  return `<p>${renderStatus(status)} &mdash; ${escapeHtml(qualityGates.evaluated.join(', '))}</p>${violations}`;
+}
+
+function renderTrends(data) {
+  const entries = Object.entries(data.trends);
+  if (entries.length === 0) {
+    return '<p class="empty">No run history recorded.</p>';
+  }
+
+  const rows = entries.map(([reqId, trend]) => {
+    const symbols = trend.history.map(entry => {
+      const style = STATUS_STYLES[entry.status] || STATUS_STYLES['not-run'];
+      return `<span style="color:${style.color}" title="${escapeHtml(entry.timestamp)}: ${style.label}">${style.symbol}</span>`;
+    }).join(' ');
+
+    return `<tr>
+      <th>${escapeHtml(reqId)}</th>
+      <td class="cell">${symbols}</td>
+      <td>${trend.passed}</td>
+      <td>${trend.failed}</td>
+      <td>${trend.lastRegression ? escapeHtml(trend.lastRegression.timestamp) : ''}</td>
+    </tr>`;
+  }).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Requirement</th><th>Trend (oldest &rarr; newest)</th><th>Passed runs</th><th>Failed runs</th><th>Last regression</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderBaseline(baseline) {
+  if (!baseline) {
+    return '<p class="empty">No requirement baseline recorded.</p>';
+  }
+  if (!baseline.previous) {
+    return '<p class="empty">First baseline recorded, changes are reported from the next run.</p>';
+  }
+
+  const changes = [
+    ['Added', baseline.added],
+    ['Modified', baseline.modified],
+    ['Removed', baseline.removed]
+  ].map(([label, ids]) => `<li>${label}: ${ids.length > 0 ? escapeHtml(ids.join(', ')) : '<span class="empty">none</span>'}</li>`).join('');
+
+  const suspects = baseline.suspectTests.length === 0
+    ? '<p class="empty">No suspect tests.</p>'
+    : `<div class="scroll"><table>
+    <thead><tr><th>Test</th><th>Title</th><th>Changed requirements</th><th>Verified</th></tr></thead>
+    <tbody>${baseline.suspectTests.map(entry => `<tr>
+      <th>${escapeHtml(entry.testId)}</th>
+      <td>${escapeHtml(entry.title)}</td>
+      <td>${escapeHtml(entry.requirements.join(', '))}</td>
+      <td>${escapeHtml(entry.verifiedAt)}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>`;
+
+  return `<div class="meta">Since run ${escapeHtml(baseline.previous.runId)} (${escapeHtml(baseline.previous.timestamp)})</div>
+  <ul>${changes}</ul>
+  <h3>Suspect tests</h3>
+  ${suspects}`;
+}
+
+function renderRisk(data) {
+  const rows = Object.entries(data.risk.byPriority).map(([priority, entry]) => `<tr>
+      <th>${renderTaxonomy(data, 'requirementPriorities', priority)}</th>
+      <td>${entry.covered} / ${entry.total}</td>
+      <td>${formatPercentage(entry.percentage)}</td>
+      <td>${entry.tests}</td>
+      <td>${formatPercentage(entry.passRate)}</td>
+    </tr>`).join('');
+
+  const hotspots = data.risk.hotspots.length === 0
+    ? '<p class="empty">No risk hotspots.</p>'
+    : `<ul>${data.risk.hotspots.map(hotspot => {
+      const reasons = [
+        ['failing', hotspot.failing],
+        ['skipped', hotspot.skipped],
+        ['not run', hotspot.notRun],
+        ['low priority', hotspot.lowPriority]
+      ].filter(([, ids]) => ids.length > 0).map(([label, ids]) => `${label}: ${ids.join(', ')}`);
+
+      return `<li><strong>${escapeHtml(hotspot.requirementId)}</strong> (${renderTaxonomy(data, 'requirementPriorities', hotspot.priority)}) &mdash; ${escapeHtml(hotspot.title)}
+        <div class="meta">${escapeHtml(reasons.join('; '))}</div></li>`;
+    }).join('')}</ul>`;
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Priority</th><th>Requirements covered</th><th>Coverage</th><th>Tests</th><th>Pass rate</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+  <h3>Risk hotspots</h3>
+  ${hotspots}`;
+}
+
+function renderHierarchyNode(node, depth) {
+  const { requirements, userStories, tests } = node.rollup;
+  const row = `<tr>
+      <th style="padding-left:${8 + depth * 20}px">${escapeHtml(node.id)}</th>
+      <td>${escapeHtml(node.level)}</td>
+      <td>${escapeHtml(node.title)}</td>
+      <td>${requirements.covered}/${requirements.total} (${formatPercentage(requirements.percentage)})</td>
+      <td>${userStories.covered}/${userStories.total}</td>
+      <td>${tests.total}</td>
+      <td>${formatPercentage(tests.passRate)}</td>
+      <td>${renderStatus(node.rollup.status)}</td>
+    </tr>`;
+
+  return row + node.children.map(child => renderHierarchyNode(child, depth + 1)).join('');
+}
+
+function renderHierarchy(data) {
+  if (data.hierarchy.length === 0) {
+    return '<p class="empty">No epics or features defined.</p>';
+  }
+
+  return `<div class="scroll"><table>
+    <thead><tr>
+      <th>ID</th><th>Level</th><th>Title</th><th>Requirements covered</th><th>User stories covered</th>
+      <th>Tests</th><th>Pass rate</th><th>Status</th>
+    </tr></thead>
+    <tbody>${data.hierarchy.map(node => renderHierarchyNode(node, 0)).join('')}</tbody>
+  </table></div>`;
+}
+
+function renderCriteria(data) {
+  if (data.criteria.length === 0) {
+    return '<p class="empty">No acceptance criteria defined.</p>';
+  }
+
+  const rows = data.criteria.flatMap(item => item.criteria.map((criterion, index) => `<tr>
+      ${index === 0 ? `<th rowspan="${item.criteria.length}">${escapeHtml(item.itemId)}<br>
+        <span class="meta">${item.verified} verified &middot; ${item.failing} failing &middot; ${item.untested} untested</span></th>` : ''}
+      <td>${escapeHtml(criterion.id)}</td>
+      <td>${escapeHtml(criterion.text)}</td>
+      <td>${escapeHtml(criterion.tests.map(test => test.id).join(', '))}</td>
+      <td>${renderStatus(criterion.status)}</td>
+    </tr>`)).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>Requirement / story</th><th>Criterion</th><th>Text</th><th>Tests</th><th>Status</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderScenarios(data) {
+  if (data.scenarios.length === 0) {
+    return '<p class="empty">No Gherkin scenarios loaded.</p>';
+  }
+
+  const rows = data.scenarios.map(scenario => `<tr>
+      <th>${escapeHtml(scenario.storyId)}</th>
+      <td>${escapeHtml(scenario.scenario)}</td>
+      <td>${escapeHtml(scenario.requirements.join(', '))}</td>
+      <td>${scenario.tests.length}</td>
+      <td>${renderStatus(scenario.status)}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr><th>User story</th><th>Scenario</th><th>Requirements</th><th>Tests</th><th>Status</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderSuites(data) {
+  if (data.suites.length === 0) {
+    return '<p class="empty">No suite metadata recorded.</p>';
+  }
+
+  const rows = data.suites.map(suite => `<tr>
+      <th>${escapeHtml(suite.title)}</th>
+      <td>${escapeHtml(suite.spec)}</td>
+      <td>${renderTaxonomy(data, 'testTypes', suite.type)}</td>
+      <td>${renderTaxonomy(data, 'testPriorities', suite.priority)}</td>
+      <td>${escapeHtml((suite.requirements || []).join(', '))}</td>
+      <td>${escapeHtml((suite.userStories || []).join(', '))}</td>
+      <td>${suite.testCases.length}</td>
+      <td>${suite.execution.passed}</td>
+      <td>${suite.execution.failed}</td>
+      <td>${suite.execution.skipped}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr>
+      <th>Suite</th><th>Spec</th><th>Type</th><th>Priority</th><th>Requirements</th><th>User stories</th>
+      <th>Tests</th><th>Passed</th><th>Failed</th><th>Skipped</th>
+    </tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderTestDetails(data) {
+  const testCases = data.execution.testCases;
+  if (testCases.length === 0) {
+    return '<p class="empty">No test cases recorded.</p>';
+  }
+
+  const rows = testCases.map(tc => `<tr>
+      <th>${escapeHtml(tc.id)}</th>
+      <td>${escapeHtml(tc.title)}</td>
+      <td>${escapeHtml(tc.spec)}</td>
+      <td>${escapeHtml((tc.titlePath || []).slice(0, -1).join(' > '))}</td>
+      <td>${renderTaxonomy(data, 'testTypes', tc.type)}</td>
+      <td>${renderTaxonomy(data, 'testPriorities', tc.priority)}</td>
+      <td>${tc.automated === false ? 'Manual' : 'Automated'}</td>
+      <td>${renderStatus(tc.status || 'not-run')}${tc.tester || tc.executedAt
+        ? `<div class="meta">${escapeHtml([tc.tester, tc.executedAt].filter(Boolean).join(', '))}</div>` : ''}${tc.suspectRequirements
+        ? `<div class="error">Suspect: ${escapeHtml(tc.suspectRequirements.join(', '))} changed</div>` : ''}</td>
+      <td>${tc.duration !== undefined ? `${escapeHtml(tc.duration)} ms` : ''}</td>
+      <td>${escapeHtml(tc.attempts ?? '')}</td>
+      <td>${escapeHtml(tc.coverage.requirements.join(', '))}</td>
+      <td>${escapeHtml(tc.coverage.userStories.join(', '))}</td>
+      <td>${escapeHtml((tc.tags || []).join(', '))}</td>
+      <td>${tc.error ? `<div class="error">${escapeHtml(tc.error)}</div>` : ''}</td>
+    </tr>`).join('');
+
+  return `<div class="scroll"><table>
+    <thead><tr>
+      <th>ID</th><th>Title</th><th>Spec</th><th>Describe</th><th>Type</th><th>Priority</th><th>Method</th><th>Status</th><th>Duration</th>
+      <th>Attempts</th><th>Requirements</th><th>User stories</th><th>Tags</th><th>Error</th>
+    </tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+/**
+ * Render the collected report data as a self-contained HTML document
+ * @param {Object} data - Report data produced by RTMReportGenerator.collectReportData()
+ * @returns {string}
+ */
+function renderHTMLReport(data) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Requirements Traceability Matrix</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>Requirements Traceability Matrix</h1>
+  <div class="meta">Generated ${escapeHtml(data.timestamp)}</div>
+  ${renderRunInfo(data.run)}
+  ${renderFilter(data.filter)}
+  ${renderSummary(data)}
+
+  <h2>Quality Gates</h2>
+  ${renderQualityGates(data.qualityGates)}
+
+  <h2>Risk by Priority</h2>
+  ${renderRisk(data)}
+
+  <h2>Requirement Hierarchy</h2>
+  ${renderHierarchy(data)}
+
+  <h2>Traceability Matrix</h2>
+  ${renderMatrix(data)}
+
+  <h2>Automated and Manual Verification</h2>
+  ${renderVerification(data)}
+
+  <h2>Uncovered Requirements</h2>
+  ${renderUncovered(data.uncovered.requirements, data.requirements)}
+
+  <h2>Partially Covered Requirements</h2>
+  ${renderPartiallyCovered(data)}
+
+  <h2>Uncovered User Stories</h2>
+  ${renderUncovered(data.uncovered.userStories, data.userStories)}
+
+  <h2>Draft Requirements</h2>
+  ${renderDraftRequirements(data)}
+
+  <h2>Unresolved Links</h2>
+  ${renderUnresolvedLinks(data)}
+
+  <h2>Links to Retired Requirements</h2>
+  ${renderRetiredLinks(data)}
+
+  <h2>Acceptance Criteria</h2>
+  ${renderCriteria(data)}
+
+  <h2>Scenario Coverage</h2>
+  ${renderScenarios(data)}
+
+  <h2>Requirement Changes</h2>
+  ${renderBaseline(data.baseline)}
+
+  <h2>Requirement Trends</h2>
+  ${renderTrends(data)}
+
+  <h2>Suites</h2>
+  ${renderSuites(data)}
+
+  <h2>Test Cases</h2>
+  ${renderTestDetails(data)}
+</body>
+</html>
+`;
+}
+
+module.exports = renderHTMLReport;
@@ -0,0 +1,136 @@
+// src/impact.js
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fg = require('fast-glob');
+const micromatch = require('micromatch');
+const RTMHistory = require('./history');
+const RTMHierarchy = require('./hierarchy');
+const { TEST_ORIGINS } = require('./constants');
+
+const execFileAsync = promisify(execFile);
+
+class RTMImpact {
+  constructor(rtm) {
+    this.rtm = rtm;
+  }
+
+  /**
+   * Get the source map file, `source-map.json` beside the requirements unless configured
+   */
+  getSourceMapPath() {
+    if (this.rtm.config.sourceMapPath) {
+      return this.rtm.config.sourceMapPath;
+    }
+
+    // The static part of a glob is the directory the requirements live in
+    const segments = [].concat(this.rtm.config.requirementsPath)[0].replace(/\\/g, '/').split('/');
+    const firstDynamic = segments.findIndex(segment => segment && fg.isDynamicPattern(segment));
+    const directory = firstDynamic === -1 ? path.dirname(segments.join('/')) : segments.slice(0, firstDynamic).join('/');
+    return path.join(directory || '.', 'source-map.json');
+  }
+
+  /**
+   * Load the map of application source globs to the requirements they implement
+   * A missing file means only spec changes are analysed
+   * @returns {Promise<Object<string, string[]>>}
+   */
+  async loadSourceMap() {
+    const sourceMapPath = this.getSourceMapPath();
+    let sourceMap;
+    try {
+      sourceMap = JSON.parse(await fs.readFile(sourceMapPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Failed to load source map ${sourceMapPath}: ${error.message}`);
+    }
+
+    const mapped = Object.fromEntries(Object.entries(sourceMap).map(([glob, reqIds]) => [glob, [].concat(reqIds)]));
+    const unknown = [...new Set(Object.values(mapped).flat())].filter(reqId => !this.rtm.requirements.has(reqId));
+    if (unknown.length > 0) {
+      throw new Error(`Source map ${sourceMapPath} references unknown requirement(s) ${unknown.join(', ')}`);
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Load the test cases of the latest recorded run, or of the last report when no run was recorded
+   */
+  async loadTestCases() {
+    const runs = await new RTMHistory(this.rtm).loadRuns();
+    if (runs.length > 0) {
+      return runs[runs.length - 1].testCases || [];
+    }
+
+    try {
+      const report = JSON.parse(await fs.readFile(path.join(this.rtm.config.outputPath, 'rtm-report.json'), 'utf8'));
+      return report.execution.testCases;
+    } catch (error) {
+      throw new Error('No recorded test cases found, run Cypress or cypress-rtm scan first');
+    }
+  }
+
+  /**
+   * List files changed in a git revision range, relative to the working directory
+   */
+  async getChangedFiles(range) {
+    try {
+      const { stdout } = await execFileAsync('git', ['diff', '--name-only', '--relative', range]);
+      return stdout.split('\n').map(file => file.trim()).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to list changes in ${range}: ${error.stderr?.trim() || error.message}`);
+    }
+  }
+
+  /**
+   * Map changed files to the requirements they touch and the specs to run
+   * A changed spec touches the requirements of its recorded tests and is run itself.
+   * A changed application file touches the requirements of matching source map globs
+   * and their descendants, and every spec testing one of them is run
+   * Only Cypress specs are listed to run, imported and manual tests still map their requirements
+   * @param {string[]} changedFiles - Paths relative to the working directory
+   * @returns {Promise<{changedFiles: string[], unmappedFiles: string[], requirements: string[], testCases: string[], specs: string[]}>}
+   */
+  async analyze(changedFiles) {
+    const sourceMap = await this.loadSourceMap();
+    const testCases = await this.loadTestCases();
+    const hierarchy = new RTMHierarchy(this.rtm);
+    const recordedSpecs = new Set(testCases.map(tc => tc.spec).filter(Boolean));
+
+    const changedSpecs = changedFiles.filter(file => recordedSpecs.has(file));
+    const sourceFiles = changedFiles.filter(file => !recordedSpecs.has(file));
+    const unmappedFiles = sourceFiles.filter(file => !Object.keys(sourceMap).some(glob => micromatch.isMatch(file, glob, { dot: true })));
+
+    const sourceRequirements = new Set(Object.keys(sourceMap)
+      .filter(glob => micromatch.some(sourceFiles, glob, { dot: true }))
+      .flatMap(glob => sourceMap[glob])
+      .flatMap(reqId => hierarchy.getSubtreeRequirements(reqId).map(req => req.id)));
+
+    const affectedTests = testCases.filter(tc =>
+      changedSpecs.includes(tc.spec) || tc.requirements?.some(reqId => sourceRequirements.has(reqId))
+    );
+    const requirements = new Set([
+      ...sourceRequirements,
+      ...testCases.filter(tc => changedSpecs.includes(tc.spec)).flatMap(tc => tc.requirements || [])
+    ]);
+
+    // Specs deleted by the change can't be run anymore
+    const cypressTests = affectedTests.filter(tc => (tc.origin || TEST_ORIGINS.CYPRESS) === TEST_ORIGINS.CYPRESS);
+    const specs = [];
+    for (const spec of new Set(cypressTests.map(tc => tc.spec).filter(Boolean))) {
+      if (await fs.access(spec).then(() => true, () => false)) specs.push(spec);
+    }
+
+    return {
+      changedFiles,
+      unmappedFiles,
+      requirements: [...requirements].sort(),
+      testCases: affectedTests.map(tc => tc.id),
+      specs: specs.sort()
+    };
+  }
+}
+
+module.exports = RTMImpact;
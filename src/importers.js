@@ -0,0 +1,208 @@
+// src/importers.js
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { TEST_STATUSES } = require('./constants');
+
+/**
+ * JUnit property names read as test case links and metadata, mapped onto test case fields
+ */
+const PROPERTY_FIELDS = {
+  id: 'id',
+  type: 'type',
+  priority: 'priority',
+  requirement: 'requirements',
+  requirements: 'requirements',
+  userStory: 'userStories',
+  userStories: 'userStories',
+  tag: 'tags',
+  tags: 'tags'
+};
+
+/**
+ * Test case fields holding lists, property values are split on commas or semicolons
+ */
+const LIST_PROPERTY_FIELDS = ['requirements', 'userStories', 'tags'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: name => ['testsuite', 'testcase', 'property'].includes(name)
+});
+
+/**
+ * Spec path relative to the working directory, like the specs of Cypress tests
+ */
+function toSpec(file) {
+  if (!file) return undefined;
+  return path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+}
+
+/**
+ * Read links and metadata from JUnit `<property>` elements on top of those inherited from suites
+ * Repeated list properties are combined, e.g. one `requirement` property per linked requirement
+ */
+function readProperties(properties = [], inherited = {}) {
+  return properties.reduce((links, property) => {
+    const field = PROPERTY_FIELDS[property.name];
+    const value = property.value ?? property['#text'];
+    if (!field || value === undefined) return links;
+
+    if (LIST_PROPERTY_FIELDS.includes(field)) {
+      const values = String(value).split(/[,;]/).map(item => item.trim()).filter(Boolean);
+      return { ...links, [field]: [...new Set([...(links[field] || []), ...values])] };
+    }
+    return { ...links, [field]: String(value).trim() };
+  }, inherited);
+}
+
+/**
+ * Get the message of a JUnit `<failure>` or `<error>` element
+ */
+function readFailure(failure) {
+  if (typeof failure === 'string') return failure.trim() || undefined;
+  return failure.message || failure['#text']?.trim() || undefined;
+}
+
+/**
+ * Parse a JUnit XML report, as written by jest-junit, mocha-junit-reporter, pytest and most CI tools
+ * Suite names become the title path of their test cases, and `<properties>` of suites
+ * and test cases are read as links
+ * @param {string} content - XML content
+ * @returns {Object[]} Results with title path, spec, status, duration in milliseconds, error and links
+ */
+function parseJUnit(content) {
+  const document = parser.parse(content);
+  if (!document.testsuites && !document.testsuite) {
+    throw new Error('No <testsuites> or <testsuite> root element');
+  }
+
+  const collect = (suite, parent) => {
+    const titlePath = [...parent.titlePath, ...(suite.name ? [suite.name] : [])];
+    const links = readProperties(suite.properties?.property, parent.links);
+    const file = suite.file || parent.file;
+
+    return [
+      ...(suite.testcase || []).map(testcase => {
+        const failure = testcase.failure ?? testcase.error;
+
+        let status = TEST_STATUSES.PASSED;
+        if (failure !== undefined) {
+          status = TEST_STATUSES.FAILED;
+        } else if (testcase.skipped !== undefined) {
+          status = TEST_STATUSES.SKIPPED;
+        }
+
+        return {
+          title: testcase.name,
+          titlePath: [...titlePath, testcase.name],
+          spec: toSpec(testcase.file || file),
+          status,
+          duration: testcase.time !== undefined ? Math.round(Number(testcase.time) * 1000) : undefined,
+          error: failure !== undefined ? readFailure(failure) : undefined,
+          links: readProperties(testcase.properties?.property, links)
+        };
+      }),
+      ...(suite.testsuite || []).flatMap(child => collect(child, { titlePath, links, file }))
+    ];
+  };
+
+  const root = { titlePath: [], links: {} };
+  return document.testsuites
+    ? (document.testsuites.testsuite || []).flatMap(suite => collect(suite, root))
+    : document.testsuite.flatMap(suite => collect(suite, root));
+}
+
+/**
+ * Map the state of a mochawesome test onto an RTM test status
+ */
+function toMochawesomeStatus(test) {
+  if (test.fail || test.state === 'failed') return TEST_STATUSES.FAILED;
+  if (test.pass || test.state === 'passed') return TEST_STATUSES.PASSED;
+  return TEST_STATUSES.SKIPPED;
+}
+
+/**
+ * Parse a Mocha `json` reporter or mochawesome report
+ * The Mocha reporter only gives the full title, so its describe titles form a single title path entry
+ * @param {string} content - JSON content
+ * @returns {Object[]} Results with title path, spec, status, duration in milliseconds and error
+ */
+function parseMochaJSON(content) {
+  const report = JSON.parse(content);
+
+  // mochawesome nests suites per spec file
+  if (Array.isArray(report.results)) {
+    const collect = (suite, titlePath, file) => {
+      const suitePath = suite.title ? [...titlePath, suite.title] : titlePath;
+      return [
+        ...(suite.tests || []).map(test => ({
+          title: test.title,
+          titlePath: [...suitePath, test.title],
+          spec: toSpec(file),
+          status: toMochawesomeStatus(test),
+          duration: test.duration,
+          error: test.err?.message,
+          links: {}
+        })),
+        ...(suite.suites || []).flatMap(child => collect(child, suitePath, file))
+      ];
+    };
+
+    // `file` is relative to the project but starts with a slash, `fullFile` is absolute
+    return report.results.flatMap(result => collect(result, [], result.fullFile || result.file?.replace(/^\//, '')));
+  }
+
+  if (!Array.isArray(report.tests)) {
+    throw new Error('Expected a Mocha JSON report with tests or a mochawesome report with results');
+  }
+
+  const key = test => `${test.file} ${test.fullTitle}`;
+  const failures = new Set((report.failures || []).map(key));
+  const pending = new Set((report.pending || []).map(key));
+
+  return report.tests.map(test => {
+    const describePath = test.fullTitle.slice(0, test.fullTitle.length - test.title.length).trim();
+
+    let status = TEST_STATUSES.PASSED;
+    if (failures.has(key(test))) {
+      status = TEST_STATUSES.FAILED;
+    } else if (pending.has(key(test))) {
+      status = TEST_STATUSES.SKIPPED;
+    }
+
+    return {
+      title: test.title,
+      titlePath: [...(describePath ? [describePath] : []), test.title],
+      spec: toSpec(test.file),
+      status,
+      duration: test.duration,
+      error: test.err?.message,
+      links: {}
+    };
+  });
+}
+
+/**
+ * Parse a test result file by its extension, `.xml` as JUnit and `.json` as Mocha or mochawesome
+ * @param {string} content - File content
+ * @param {string} file - File path
+ * @returns {Object[]}
+ */
+function parseResults(content, file) {
+  switch (path.extname(file).toLowerCase()) {
+    case '.xml':
+      return parseJUnit(content);
+    case '.json':
+      return parseMochaJSON(content);
+    default:
+      throw new Error(`Unsupported result file ${file}, expected JUnit XML or Mocha JSON`);
+  }
+}
+
+module.exports = {
+  parseJUnit,
+  parseMochaJSON,
+  parseResults
+};
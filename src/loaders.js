@@ -0,0 +1,172 @@
+// src/loaders.js
+const fs = require('fs').promises;
+const path = require('path');
+const fg = require('fast-glob');
+const yaml = require('js-yaml');
+const { parse: parseCSV } = require('csv-parse/sync');
+const { loadReqIF, loadReqIFZ } = require('./reqif');
+const { loadFeature } = require('./gherkin');
+
+/**
+ * Record fields holding lists, split on the list separator when read from CSV
+ */
+const LIST_FIELDS = [
+  'acceptanceCriteria',
+  'relatedRequirements',
+  'linkedRequirements',
+  'requirements',
+  'userStories',
+  'tags'
+];
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+/**
+ * Turn parsed content into a list of records
+ * Accepts an object keyed by ID or an array of records carrying their own ID
+ */
+function toRecords(data) {
+  if (!data) {
+    return [];
+  }
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return Object.entries(data).map(([id, record]) => ({ id, ...record }));
+}
+
+/**
+ * Load a JSON file holding an object keyed by ID or an array of records
+ */
+function loadJSON(content) {
+  return toRecords(JSON.parse(content));
+}
+
+/**
+ * Load a YAML file with the same shape as the JSON sources
+ */
+function loadYAML(content) {
+  return toRecords(yaml.load(content));
+}
+
+/**
+ * Load a CSV file with a header row
+ * `options.csv.columns` maps record fields to CSV headers, unmapped headers are used as field names
+ */
+function loadCSV(content, options = {}) {
+  const { columns = {}, listSeparator = ';' } = options.csv || {};
+  const headerToField = Object.fromEntries(
+    Object.entries(columns).map(([field, header]) => [header, field])
+  );
+
+  const rows = parseCSV(content, {
+    columns: headers => headers.map(header => headerToField[header.trim()] || header.trim()),
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  return rows.map(row => Object.fromEntries(
+    Object.entries(row)
+      .filter(([, value]) => value !== '')
+      .map(([field, value]) => [
+        field,
+        LIST_FIELDS.includes(field)
+          ? value.split(listSeparator).map(item => item.trim()).filter(Boolean)
+          : value
+      ])
+  ));
+}
+
+/**
+ * Load a Markdown file describing a single record in its front-matter
+ * The body becomes the description and the file name the ID when they are not set
+ */
+function loadMarkdown(content, options = {}) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  const attributes = match ? yaml.load(match[1]) || {} : {};
+  const body = (match ? match[2] : content).trim();
+
+  return [{
+    id: path.basename(options.file || '', path.extname(options.file || '')),
+    ...(body && { description: body }),
+    ...attributes
+  }];
+}
+
+/**
+ * Built-in loaders keyed by file extension
+ */
+const DEFAULT_LOADERS = {
+  '.json': loadJSON,
+  '.yaml': loadYAML,
+  '.yml': loadYAML,
+  '.csv': loadCSV,
+  '.md': loadMarkdown,
+  '.markdown': loadMarkdown,
+  '.reqif': loadReqIF,
+  '.reqifz': loadReqIFZ,
+  '.feature': loadFeature
+};
+
+/**
+ * Expand a path, glob or list of either into the matching files
+ * Files keep the order of the given paths and are sorted within each glob
+ */
+async function resolveSourceFiles(sourcePaths) {
+  const files = [];
+
+  for (const pattern of [].concat(sourcePaths)) {
+    const matches = await fg(pattern.replace(/\\/g, '/'), { onlyFiles: true });
+    matches.sort().forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Load records from every file matched by the given paths
+ * Loaders are selected by file extension, `options.loaders` adds or replaces loaders
+ * @param {string|string[]} sourcePaths - File paths or glob patterns
+ * @param {Object} [options]
+ * @returns {Promise<Array<{record: Object, file: string}>>}
+ */
+async function loadRecords(sourcePaths, options = {}) {
+  const files = await resolveSourceFiles(sourcePaths);
+  if (files.length === 0) {
+    throw new Error(`No files found matching ${[].concat(sourcePaths).join(', ')}`);
+  }
+
+  const loaders = { ...DEFAULT_LOADERS, ...options.loaders };
+  const results = [];
+
+  for (const file of files) {
+    const extension = path.extname(file).toLowerCase();
+    const loader = loaders[extension];
+    if (!loader) {
+      throw new Error(`No loader registered for ${extension} files (${file})`);
+    }
+
+    try {
+      // Binary sources such as archives read the raw buffer from the options
+      const buffer = await fs.readFile(file);
+      const records = await loader(buffer.toString('utf8'), { ...options, file, buffer });
+      records.forEach(record => results.push({ record, file }));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_LOADERS,
+  loadRecords,
+  resolveSourceFiles,
+  loadJSON,
+  loadYAML,
+  loadCSV,
+  loadMarkdown
+};
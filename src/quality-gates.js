@@ -0,0 +1,162 @@
+// src/quality-gates.js
+const RTMFilter = require('./filter');
+
+class RTMQualityGates {
+  constructor(rtm) {
+    this.rtm = rtm;
+    this.gates = rtm.config.qualityGates || {};
+  }
+
+  /**
+   * Get test cases linked to a requirement
+   */
+  getLinkedTestCases(reqId) {
+    return Array.from(this.rtm.testCases.values()).filter(tc => tc.requirements?.includes(reqId));
+  }
+
+  /**
+   * Get the in-scope requirements gates check
+   * A filtered run only checks the requirements it selected, the others weren't meant to run
+   */
+  getGatedRequirements() {
+    const requirements = this.rtm.getRequirementsInScope();
+    if (!this.rtm.filter) {
+      return requirements;
+    }
+
+    const selected = new RTMFilter(this.rtm).getSelectedRequirements(this.rtm.filter);
+    return requirements.filter(req => selected.includes(req.id));
+  }
+
+  /**
+   * Get gated requirements with the given priority
+   */
+  getRequirementsByPriority(priority) {
+    return this.getGatedRequirements()
+      .filter(req => req.priority === priority)
+      .map(req => req.id);
+  }
+
+  /**
+   * Check overall requirement coverage against the minimum percentage
+   * Without requirements in scope, e.g. all drafts or retired, nothing is left uncovered and the gate passes
+   */
+  checkMinCoverage(minCoverage) {
+    const requirements = this.getGatedRequirements();
+    const total = requirements.length;
+    const covered = requirements.filter(req => this.rtm.isRequirementCovered(req.id)).length;
+    const percentage = total ? (covered / total) * 100 : 100;
+
+    if (percentage >= minCoverage) {
+      return [];
+    }
+
+    return [{
+      gate: 'minCoverage',
+      message: `Requirement coverage ${percentage.toFixed(1)}% is below the minimum of ${minCoverage}%`,
+      actual: percentage,
+      expected: minCoverage
+    }];
+  }
+
+  /**
+   * Check that requirements of a priority have enough passing tests
+   */
+  checkMinPassingTests(minPassingTests) {
+    return Object.entries(minPassingTests).flatMap(([priority, minimum]) =>
+      this.getRequirementsByPriority(priority).flatMap(reqId => {
+        const { conformingTests } = this.rtm.getRequirementCoverage(reqId);
+        const passing = conformingTests.filter(testId => this.rtm.testCases.get(testId).status === 'passed').length;
+        if (passing >= minimum) {
+          return [];
+        }
+
+        return [{
+          gate: 'minPassingTests',
+          requirementId: reqId,
+          message: `${reqId} (${priority}) has ${passing} passing test(s), at least ${minimum} required`,
+          actual: passing,
+          expected: minimum
+        }];
+      })
+    );
+  }
+
+  /**
+   * Check that requirements of the given priorities have no failing tests
+   */
+  checkNoFailingTests(priorities) {
+    return priorities.flatMap(priority =>
+      this.getRequirementsByPriority(priority).flatMap(reqId => {
+        const failing = this.getLinkedTestCases(reqId).filter(tc => tc.status === 'failed');
+        if (failing.length === 0) {
+          return [];
+        }
+
+        return [{
+          gate: 'noFailingTests',
+          requirementId: reqId,
+          message: `${reqId} (${priority}) has failing test(s): ${failing.map(tc => tc.id).join(', ')}`,
+          testCases: failing.map(tc => tc.id)
+        }];
+      })
+    );
+  }
+
+  /**
+   * Check the number of user stories without linked tests
+   * A filtered run only checks the user stories it selected
+   */
+  checkMaxUncoveredUserStories(maxUncovered) {
+    const testCases = Array.from(this.rtm.testCases.values());
+    const userStories = this.rtm.filter ? this.rtm.filter.userStories || [] : Array.from(this.rtm.userStories.keys());
+    const uncovered = userStories
+      .filter(storyId => !testCases.some(tc => tc.userStories?.includes(storyId)));
+
+    if (uncovered.length <= maxUncovered) {
+      return [];
+    }
+
+    return [{
+      gate: 'maxUncoveredUserStories',
+      message: `${uncovered.length} user stories are uncovered, at most ${maxUncovered} allowed: ${uncovered.join(', ')}`,
+      actual: uncovered.length,
+      expected: maxUncovered,
+      userStories: uncovered
+    }];
+  }
+
+  /**
+   * Evaluate all configured quality gates
+   */
+  evaluate() {
+    const { minCoverage, minPassingTests, noFailingTests, maxUncoveredUserStories } = this.gates;
+    const evaluated = [];
+    const violations = [];
+
+    if (minCoverage !== undefined) {
+      evaluated.push('minCoverage');
+      violations.push(...this.checkMinCoverage(minCoverage));
+    }
+    if (minPassingTests !== undefined) {
+      evaluated.push('minPassingTests');
+      violations.push(...this.checkMinPassingTests(minPassingTests));
+    }
+    if (noFailingTests !== undefined) {
+      evaluated.push('noFailingTests');
+      violations.push(...this.checkNoFailingTests(noFailingTests));
+    }
+    if (maxUncoveredUserStories !== undefined) {
+      evaluated.push('maxUncoveredUserStories');
+      violations.push(...this.checkMaxUncoveredUserStories(maxUncoveredUserStories));
+    }
+
+    return {
+      passed: violations.length === 0,
+      evaluated,
+      violations
+    };
+  }
+}
+
+module.exports = RTMQualityGates;
@@ -1,6 +1,11 @@
 // src/reports.js
 const fs = require('fs').promises;
 const path = require('path');
+const renderHTMLReport = require('./html-report');
+const RTMHierarchy = require('./hierarchy');
+const RTMRisk = require('./risk');
+const { aggregateStatus, isScenarioTitle, normalizeCriteria } = require('./utils');
+const { REQUIREMENT_STATUSES } = require('./constants');
 
 class RTMReportGenerator {
   constructor(rtm) {
@@ -10,9 +15,10 @@ class RTMReportGenerator {
   /**
    * Generate all reports
    */
-  async generateReports() {
-    const reportData = this.collectReportData();
+  async generateReports(coverage = {}) {
+    const reportData = this.collectReportData(coverage);
     await this.generateJSONReport(reportData);
+    await this.generateHTMLReport(reportData);
   }
 
   /**
@@ -26,26 +32,47 @@ class RTMReportGenerator {
   /**
    * Collect all data needed for reports
    */
-  collectReportData() {
+  collectReportData(coverage = {}) {
     return {
       timestamp: new Date().toISOString(),
+      run: coverage.run,
+      filter: this.rtm.filter,
+      trends: coverage.trends || {},
+      baseline: coverage.baseline,
+      qualityGates: coverage.qualityGates,
+      taxonomies: this.rtm.taxonomies,
       summary: this.generateSummary(),
+      coverage: this.generateCoverageSummary(),
+      risk: this.getRiskSummary(),
+      requirements: this.getRequirementsDetails(),
+      userStories: this.getUserStoriesDetails(),
+      hierarchy: this.getHierarchy(),
+      suites: this.getSuitesDetails(),
+      scenarios: this.getScenarioCoverage(),
+      criteria: this.getCriteriaCoverage(),
+      matrix: this.getTraceabilityMatrix(),
+      verification: this.getVerificationCoverage(),
       execution: {
         testCases: this.getTestCasesDetails()
       },
       uncovered: {
         requirements: this.getUncoveredRequirements(),
         userStories: this.getUncoveredUserStories()
-      }
+      },
+      partiallyCovered: this.getPartiallyCoveredRequirements(),
+      draftRequirements: this.getDraftRequirements(),
+      unresolvedLinks: this.getUnresolvedLinks(),
+      retiredLinks: this.getRetiredLinks()
     };
   }
 
   /**
    * Generate summary statistics
+   * Requirements are counted in scope, like the coverage totals
    */
   generateSummary() {
     return {
-      totalRequirements: this.rtm.requirements.size,
+      totalRequirements: this.rtm.getRequirementsInScope().length,
       totalUserStories: this.rtm.userStories.size,
       totalTestCases: this.rtm.testCases.size,
       execution: {
@@ -61,13 +88,231 @@ class RTMReportGenerator {
   }
 
   /**
-   * Get uncovered requirements
+   * Generate requirement and user story coverage statistics
+   * Without requirements in scope nothing is left uncovered, so requirement coverage is 100% like the coverage gate
+   */
+  generateCoverageSummary() {
+    const totalRequirements = this.rtm.getRequirementsInScope().length;
+    const totalUserStories = this.rtm.userStories.size;
+    const partialRequirements = this.getPartiallyCoveredRequirements().length;
+    const coveredRequirements = totalRequirements - this.getUncoveredRequirements().length - partialRequirements;
+    const coveredUserStories = totalUserStories - this.getUncoveredUserStories().length;
+
+    return {
+      requirements: {
+        total: totalRequirements,
+        covered: coveredRequirements,
+        partial: partialRequirements,
+        percentage: totalRequirements ? this.calculatePercentage(coveredRequirements, totalRequirements) : 100
+      },
+      userStories: {
+        total: totalUserStories,
+        covered: coveredUserStories,
+        percentage: this.calculatePercentage(coveredUserStories, totalUserStories)
+      }
+    };
+  }
+
+  /**
+   * Get weighted coverage, the per-priority breakdown and risk hotspots
+   */
+  getRiskSummary() {
+    const risk = new RTMRisk(this.rtm);
+
+    return {
+      weightedCoverage: risk.calculateWeightedCoverage(),
+      byPriority: risk.getPriorityBreakdown(),
+      hotspots: risk.getHotspots()
+    };
+  }
+
+  /**
+   * Build the in-scope requirement x test case matrix
+   */
+  getTraceabilityMatrix() {
+    const testCases = Array.from(this.rtm.testCases.values());
+    const priorityOrder = this.rtm.getTaxonomyValues('requirementPriorities');
+    const rank = req => (priorityOrder.includes(req.priority) ? priorityOrder.indexOf(req.priority) : priorityOrder.length);
+
+    return this.rtm.getRequirementsInScope()
+      .sort((a, b) => rank(a) - rank(b))
+      .map(req => ({
+        requirementId: req.id,
+        title: req.title,
+        type: req.type,
+        priority: req.priority,
+        coverage: this.rtm.getRequirementCoverage(req.id).status,
+        tests: testCases
+          .filter(tc => tc.requirements?.includes(req.id))
+          .map(tc => ({
+            id: tc.id,
+            status: tc.status || 'not-run',
+            ...(tc.suspectRequirements?.includes(req.id) && { suspect: true })
+          }))
+      }));
+  }
+
+  /**
+   * Split the tests of each in-scope requirement into automated and manual verification
+   * Requirements whose tests are all manual rely only on manual verification
+   */
+  getVerificationCoverage() {
+    const testCases = Array.from(this.rtm.testCases.values());
+    const requirements = this.rtm.getRequirementsInScope().map(req => {
+      const tests = testCases.filter(tc => tc.requirements?.includes(req.id));
+      const automated = tests.filter(tc => tc.automated !== false);
+      const manual = tests.filter(tc => tc.automated === false);
+
+      return {
+        requirementId: req.id,
+        title: req.title,
+        automated: automated.map(tc => ({ id: tc.id, status: tc.status || 'not-run' })),
+        manual: manual.map(tc => ({ id: tc.id, status: tc.status || 'not-run', tester: tc.tester, executedAt: tc.executedAt }))
+      };
+    });
+
+    return {
+      requirements,
+      automated: requirements.filter(entry => entry.automated.length > 0).length,
+      manual: requirements.filter(entry => entry.manual.length > 0).length,
+      manualOnly: requirements
+        .filter(entry => entry.manual.length > 0 && entry.automated.length === 0)
+        .map(entry => entry.requirementId)
+    };
+  }
+
+  /**
+   * Get the requirement tree with coverage rolled up from descendants
+   */
+  getHierarchy() {
+    return new RTMHierarchy(this.rtm).getTree();
+  }
+
+  /**
+   * Get coverage of the Gherkin scenarios of user stories loaded from feature files
+   */
+  getScenarioCoverage() {
+    const testCases = Array.from(this.rtm.testCases.values());
+
+    return Array.from(this.rtm.userStories.values())
+      .filter(story => story.scenarios?.length > 0)
+      .flatMap(story => story.scenarios.map(scenario => {
+        const tests = testCases.filter(tc => isScenarioTitle(tc.title, scenario.name) &&
+          (tc.userStories?.includes(story.id) || this.rtm.isSpecOfFile(tc.spec, story.file)));
+
+        return {
+          storyId: story.id,
+          scenario: scenario.name,
+          requirements: scenario.requirements,
+          tests: tests.map(tc => ({ id: tc.id, status: tc.status || 'not-run' })),
+          status: aggregateStatus(tests)
+        };
+      }));
+  }
+
+  /**
+   * Get per-criterion coverage of requirements and user stories with acceptance criteria
+   */
+  getCriteriaCoverage() {
+    const testCases = Array.from(this.rtm.testCases.values());
+    const items = [
+      ...Array.from(this.rtm.requirements.entries()).map(([id, item]) => ({ id, kind: 'requirement', item })),
+      ...Array.from(this.rtm.userStories.entries()).map(([id, item]) => ({ id, kind: 'userStory', item }))
+    ];
+
+    return items
+      .filter(({ item }) => item.acceptanceCriteria?.length > 0)
+      .map(({ id, kind, item }) => {
+        const criteria = normalizeCriteria(item.acceptanceCriteria).map(criterion => {
+          const tests = testCases.filter(tc => tc.criteria?.[id]?.includes(criterion.id));
+          return {
+            id: criterion.id,
+            text: criterion.text,
+            tests: tests.map(tc => ({ id: tc.id, status: tc.status || 'not-run' })),
+            status: aggregateStatus(tests)
+          };
+        });
+
+        return {
+          itemId: id,
+          kind,
+          title: item.title,
+          criteria,
+          verified: criteria.filter(c => c.status === 'passed').length,
+          failing: criteria.filter(c => c.status === 'failed').length,
+          untested: criteria.filter(c => !['passed', 'failed'].includes(c.status)).length
+        };
+      });
+  }
+
+  /**
+   * Get in-scope requirements without linked tests
    */
   getUncoveredRequirements() {
-    return Array.from(this.rtm.requirements.keys())
+    return this.rtm.getRequirementsInScope()
+      .map(req => req.id)
       .filter(reqId => !Array.from(this.rtm.testCases.values()).some(tc => tc.requirements?.includes(reqId)));
   }
 
+  /**
+   * Get requirements linked only to tests whose type does not verify the requirement type
+   */
+  getPartiallyCoveredRequirements() {
+    return this.rtm.getRequirementsInScope()
+      .map(req => ({ req, coverage: this.rtm.getRequirementCoverage(req.id) }))
+      .filter(({ coverage }) => coverage.status === 'partial')
+      .map(({ req, coverage }) => ({
+        requirementId: req.id,
+        title: req.title,
+        type: req.type,
+        requiredTestTypes: coverage.requiredTestTypes,
+        tests: coverage.tests
+      }));
+  }
+
+  /**
+   * Get test cases linking to requirements or user stories that don't exist (validateLinks: 'warn')
+   */
+  getUnresolvedLinks() {
+    return Array.from(this.rtm.testCases.values())
+      .filter(tc => tc.unresolvedLinks)
+      .map(tc => ({
+        testId: tc.id,
+        title: tc.title,
+        requirements: tc.unresolvedLinks.requirements || [],
+        userStories: tc.unresolvedLinks.userStories || []
+      }));
+  }
+
+  /**
+   * Get draft requirements with their linked tests, kept out of coverage until approved
+   */
+  getDraftRequirements() {
+    const testCases = Array.from(this.rtm.testCases.values());
+
+    return Array.from(this.rtm.requirements.values())
+      .filter(req => req.status === REQUIREMENT_STATUSES.DRAFT)
+      .map(req => ({
+        requirementId: req.id,
+        title: req.title,
+        priority: req.priority,
+        tests: testCases.filter(tc => tc.requirements?.includes(req.id)).map(tc => tc.id)
+      }));
+  }
+
+  /**
+   * Get test cases linked to deprecated or rejected requirements
+   */
+  getRetiredLinks() {
+    return Array.from(this.rtm.testCases.values())
+      .map(tc => ({
+        testId: tc.id,
+        title: tc.title,
+        requirements: (tc.requirements || []).filter(reqId => this.rtm.isRequirementRetired(reqId))
+      }))
+      .filter(entry => entry.requirements.length > 0);
+  }
+
   /**
    * Get uncovered user stories
    */
@@ -103,13 +348,55 @@ class RTMReportGenerator {
     return Array.from(this.rtm.userStories.values());
   }
 
+  /**
+   * Get suites with the test cases inheriting their metadata
+   */
+  getSuitesDetails() {
+    const testCases = Array.from(this.rtm.testCases.values());
+
+    return Array.from(this.rtm.suites.values()).map(suite => {
+      const suiteTests = testCases.filter(tc => tc.suites?.includes(suite.id));
+
+      return {
+        ...suite,
+        testCases: suiteTests.map(tc => tc.id),
+        execution: {
+          passed: suiteTests.filter(tc => tc.status === 'passed').length,
+          failed: suiteTests.filter(tc => tc.status === 'failed').length,
+          skipped: suiteTests.filter(tc => tc.status === 'skipped').length
+        }
+      };
+    });
+  }
+
+  /**
+   * Load the JSON report written by an earlier run, undefined when there is none
+   */
+  async loadJSONReport() {
+    const jsonPath = path.join(this.rtm.config.outputPath, 'rtm-report.json');
+    try {
+      return JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw new Error(`Failed to load report ${jsonPath}: ${error.message}`);
+    }
+  }
+
   /**
    * Generate JSON report
    */
   async generateJSONReport(data) {
-    const jsonPath = path.join(this.rtm.config.outputPath, 'data22.json');
+    const jsonPath = path.join(this.rtm.config.outputPath, 'rtm-report.json');
     await fs.writeFile(jsonPath, JSON.stringify(data, null, 2));
   }
+
+  /**
+   * Generate self-contained HTML report
+   */
+  async generateHTMLReport(data) {
+    const htmlPath = path.join(this.rtm.config.outputPath, 'rtm-report.html');
+    await fs.writeFile(htmlPath, renderHTMLReport(data));
+  }
 }
 
 module.exports = RTMReportGenerator;
\ No newline at end of file
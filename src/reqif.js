@@ -0,0 +1,177 @@
+// src/reqif.js
+const { XMLParser } = require('fast-xml-parser');
+const AdmZip = require('adm-zip');
+
+/**
+ * ReqIF attribute names mapped onto requirement fields by default
+ * `ReqIF.*` names follow the ReqIF Implementation Guide, the rest are common tool exports
+ */
+const DEFAULT_ATTRIBUTE_MAPPING = {
+  id: 'ReqIF.ForeignID',
+  title: 'ReqIF.Name',
+  description: 'ReqIF.Text',
+  type: 'Type',
+  priority: 'Priority'
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  stopNodes: ['*.THE-VALUE'],
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute && (
+    ['SPEC-OBJECT', 'SPEC-RELATION', 'SPEC-OBJECT-TYPE', 'ENUM-VALUE', 'ENUM-VALUE-REF'].includes(name) ||
+    (/^(ATTRIBUTE-VALUE|ATTRIBUTE-DEFINITION|DATATYPE-DEFINITION)-/.test(name) && !name.endsWith('-REF'))
+  )
+});
+
+/**
+ * Reduce an XHTML attribute value to plain text
+ */
+function xhtmlToText(xhtml) {
+  return String(xhtml || '')
+    .replace(/<\/(\w+:)?(p|div|li|h\d)>|<(\w+:)?br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Collect elements of every kind whose tag name starts with the given prefix
+ */
+function collectByPrefix(container, prefix) {
+  return Object.entries(container || {})
+    .filter(([name]) => name.startsWith(prefix) && !name.endsWith('-REF'))
+    .flatMap(([name, elements]) => [].concat(elements).map(element => ({
+      kind: name.slice(prefix.length),
+      element
+    })));
+}
+
+/**
+ * Index identifiers of attribute definitions, enum values and spec object types by LONG-NAME
+ */
+function buildDefinitions(content) {
+  const attributes = new Map();
+  const enumValues = new Map();
+  const specObjectTypes = new Map();
+
+  collectByPrefix(content.DATATYPES, 'DATATYPE-DEFINITION-').forEach(({ element }) => {
+    (element['SPECIFIED-VALUES']?.['ENUM-VALUE'] || []).forEach(value => {
+      enumValues.set(value.IDENTIFIER, value['LONG-NAME']);
+    });
+  });
+
+  (content['SPEC-TYPES']?.['SPEC-OBJECT-TYPE'] || []).forEach(type => {
+    specObjectTypes.set(type.IDENTIFIER, type['LONG-NAME']);
+    collectByPrefix(type['SPEC-ATTRIBUTES'], 'ATTRIBUTE-DEFINITION-').forEach(({ element }) => {
+      attributes.set(element.IDENTIFIER, element['LONG-NAME']);
+    });
+  });
+
+  return { attributes, enumValues, specObjectTypes };
+}
+
+/**
+ * Read the attribute values of a SPEC-OBJECT, keyed by attribute LONG-NAME
+ */
+function readAttributeValues(specObject, definitions) {
+  const values = {};
+
+  collectByPrefix(specObject.VALUES, 'ATTRIBUTE-VALUE-').forEach(({ kind, element }) => {
+    const name = definitions.attributes.get(element.DEFINITION?.[`ATTRIBUTE-DEFINITION-${kind}-REF`]);
+    if (!name) return;
+
+    if (kind === 'XHTML') {
+      values[name] = xhtmlToText(element['THE-VALUE']);
+    } else if (kind === 'ENUMERATION') {
+      values[name] = (element.VALUES?.['ENUM-VALUE-REF'] || [])
+        .map(ref => definitions.enumValues.get(ref))
+        .filter(Boolean)
+        .join(', ');
+    } else {
+      values[name] = element['THE-VALUE'];
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Load requirements from a ReqIF document
+ * `options.reqif.attributes` maps requirement fields to ReqIF attribute names,
+ * `options.reqif.values` maps attribute values per field (e.g. `{ priority: { High: 'p1-high' } }`) and
+ * `options.reqif.specObjectTypes` limits the import to SPEC-OBJECTs of the given type names
+ */
+function loadReqIF(content, options = {}) {
+  const { attributes = {}, values = {}, specObjectTypes } = options.reqif || {};
+  const mapping = { ...DEFAULT_ATTRIBUTE_MAPPING, ...attributes };
+
+  const document = parser.parse(content)['REQ-IF'];
+  const reqifContent = document?.['CORE-CONTENT']?.['REQ-IF-CONTENT'];
+  if (!reqifContent) {
+    throw new Error('Not a ReqIF document');
+  }
+
+  const definitions = buildDefinitions(reqifContent);
+  const recordsByIdentifier = new Map();
+
+  (reqifContent['SPEC-OBJECTS']?.['SPEC-OBJECT'] || []).forEach(specObject => {
+    const typeName = definitions.specObjectTypes.get(specObject.TYPE?.['SPEC-OBJECT-TYPE-REF']);
+    if (specObjectTypes && !specObjectTypes.includes(typeName)) return;
+
+    const attributeValues = readAttributeValues(specObject, definitions);
+    const field = name => {
+      const value = attributeValues[mapping[name]];
+      return values[name]?.[value] ?? value;
+    };
+
+    const record = {
+      id: field('id') || specObject.IDENTIFIER,
+      title: field('title') || specObject['LONG-NAME'],
+      type: field('type'),
+      priority: field('priority'),
+      description: field('description')
+    };
+
+    recordsByIdentifier.set(specObject.IDENTIFIER, Object.fromEntries(
+      Object.entries(record).filter(([, value]) => value !== undefined && value !== '')
+    ));
+  });
+
+  // SPEC-RELATIONs link the source requirement to its target
+  (reqifContent['SPEC-RELATIONS']?.['SPEC-RELATION'] || []).forEach(relation => {
+    const source = recordsByIdentifier.get(relation.SOURCE?.['SPEC-OBJECT-REF']);
+    const target = recordsByIdentifier.get(relation.TARGET?.['SPEC-OBJECT-REF']);
+    if (!source || !target) return;
+
+    source.relatedRequirements = [...new Set([...(source.relatedRequirements || []), target.id])];
+  });
+
+  return Array.from(recordsByIdentifier.values());
+}
+
+/**
+ * Load requirements from every ReqIF document in a .reqifz archive
+ */
+function loadReqIFZ(content, options = {}) {
+  const archive = new AdmZip(options.buffer);
+
+  return archive.getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.reqif'))
+    .flatMap(entry => loadReqIF(entry.getData().toString('utf8'), options));
+}
+
+module.exports = {
+  DEFAULT_ATTRIBUTE_MAPPING,
+  loadReqIF,
+  loadReqIFZ
+};
@@ -0,0 +1,137 @@
+// src/risk.js
+
+/**
+ * Default weights and hotspot thresholds from the configured priority taxonomies, overridable through `config.risk`
+ * Priorities are listed highest first, so the built-in ones weigh 4 to 1 for requirements and 1 to 0.25 for tests
+ * The upper half of requirement priorities can be hotspots, the lower half of test priorities counts as low
+ */
+function getDefaultRiskConfig(rtm) {
+  const requirementPriorities = rtm.getTaxonomyValues('requirementPriorities');
+  const testPriorities = rtm.getTaxonomyValues('testPriorities');
+
+  return {
+    requirementWeights: Object.fromEntries(
+      requirementPriorities.map((priority, index) => [priority, requirementPriorities.length - index])
+    ),
+    testWeights: Object.fromEntries(
+      testPriorities.map((priority, index) => [priority, (testPriorities.length - index) / testPriorities.length])
+    ),
+    hotspotPriorities: requirementPriorities.slice(0, Math.ceil(requirementPriorities.length / 2)),
+    lowPriorityTests: testPriorities.slice(Math.ceil(testPriorities.length / 2))
+  };
+}
+
+class RTMRisk {
+  constructor(rtm) {
+    this.rtm = rtm;
+
+    const defaults = getDefaultRiskConfig(rtm);
+    const risk = rtm.config.risk || {};
+    this.options = {
+      ...defaults,
+      ...risk,
+      requirementWeights: { ...defaults.requirementWeights, ...risk.requirementWeights },
+      testWeights: { ...defaults.testWeights, ...risk.testWeights }
+    };
+  }
+
+  /**
+   * Get test cases linked to a requirement
+   */
+  getLinkedTestCases(reqId) {
+    return Array.from(this.rtm.testCases.values()).filter(tc => tc.requirements?.includes(reqId));
+  }
+
+  /**
+   * Weight of a requirement by its priority, unknown priorities weigh 1
+   */
+  getRequirementWeight(req) {
+    return this.options.requirementWeights[req.priority] ?? 1;
+  }
+
+  /**
+   * Share of a requirement's weight credited by its strongest conforming test
+   */
+  getCoverageCredit(reqId) {
+    const { conformingTests } = this.rtm.getRequirementCoverage(reqId);
+    const weights = conformingTests.map(testId => this.options.testWeights[this.rtm.testCases.get(testId).priority] ?? 1);
+    return weights.length ? Math.min(1, Math.max(...weights)) : 0;
+  }
+
+  /**
+   * Calculate coverage weighted by requirement priority and by the priority of the covering tests
+   * Like plain coverage it's 100% when there is nothing to weigh
+   */
+  calculateWeightedCoverage() {
+    let total = 0;
+    let covered = 0;
+
+    this.rtm.getRequirementsInScope().forEach(req => {
+      const weight = this.getRequirementWeight(req);
+      total += weight;
+      covered += weight * this.getCoverageCredit(req.id);
+    });
+
+    return total ? (covered / total) * 100 : 100;
+  }
+
+  /**
+   * Calculate coverage and pass rate for each requirement priority
+   */
+  getPriorityBreakdown() {
+    const requirements = this.rtm.getRequirementsInScope();
+    const priorities = [...new Set([
+      ...this.rtm.getTaxonomyValues('requirementPriorities'),
+      ...requirements.map(req => req.priority)
+    ])];
+
+    return Object.fromEntries(priorities.map(priority => {
+      const reqIds = requirements
+        .filter(req => req.priority === priority)
+        .map(req => req.id);
+      const covered = reqIds.filter(reqId => this.rtm.isRequirementCovered(reqId)).length;
+      const tests = Array.from(this.rtm.testCases.values())
+        .filter(tc => tc.requirements?.some(reqId => reqIds.includes(reqId)));
+      const passed = tests.filter(tc => tc.status === 'passed').length;
+
+      return [priority, {
+        total: reqIds.length,
+        covered,
+        percentage: reqIds.length ? (covered / reqIds.length) * 100 : 0,
+        tests: tests.length,
+        passed,
+        passRate: tests.length ? (passed / tests.length) * 100 : 0
+      }];
+    }));
+  }
+
+  /**
+   * Get high-priority requirements covered only by failing, skipped, unexecuted or low-priority tests
+   * Uncovered requirements are reported separately and are not hotspots
+   */
+  getHotspots() {
+    const { hotspotPriorities, lowPriorityTests } = this.options;
+
+    return this.rtm.getRequirementsInScope()
+      .filter(req => hotspotPriorities.includes(req.priority))
+      .flatMap(req => {
+        const tests = this.getLinkedTestCases(req.id);
+        const isReliable = tc => tc.status === 'passed' && !lowPriorityTests.includes(tc.priority);
+        if (tests.length === 0 || tests.some(isReliable)) {
+          return [];
+        }
+
+        return [{
+          requirementId: req.id,
+          title: req.title,
+          priority: req.priority,
+          failing: tests.filter(tc => tc.status === 'failed').map(tc => tc.id),
+          skipped: tests.filter(tc => tc.status === 'skipped').map(tc => tc.id),
+          notRun: tests.filter(tc => !tc.status || tc.status === 'not-run').map(tc => tc.id),
+          lowPriority: tests.filter(tc => lowPriorityTests.includes(tc.priority)).map(tc => tc.id)
+        }];
+      });
+  }
+}
+
+module.exports = RTMRisk;
@@ -0,0 +1,286 @@
+// src/spec-parser.js
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { buildSuiteId, toCriteriaLinks, parseTitleLinks } = require('./utils');
+
+const SUITE_FUNCTIONS = ['describe', 'context'];
+const TEST_FUNCTIONS = ['it', 'specify'];
+const HOOK_FUNCTIONS = ['before', 'beforeEach', 'after', 'afterEach'];
+const RTM_COMMANDS = ['requirement', 'userStory', 'testMetadata', 'suite'];
+
+/**
+ * Parser plugins per spec file extension
+ */
+const PARSER_PLUGINS = {
+  '.ts': ['typescript'],
+  '.tsx': ['typescript', 'jsx'],
+  '.mts': ['typescript'],
+  '.cts': ['typescript']
+};
+
+/**
+ * Marker for values only known when the spec runs
+ */
+const DYNAMIC = Symbol('dynamic');
+
+/**
+ * Evaluate a literal expression, DYNAMIC when it depends on anything else
+ */
+function toStaticValue(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : DYNAMIC;
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+      return toStaticValue(node.expression);
+    case 'ArrayExpression': {
+      const items = node.elements.map(element => (element ? toStaticValue(element) : DYNAMIC));
+      return items.includes(DYNAMIC) ? DYNAMIC : items;
+    }
+    case 'ObjectExpression': {
+      const entries = node.properties.map(property => (
+        property.type === 'ObjectProperty' && !property.computed
+          ? [property.key.name ?? property.key.value, toStaticValue(property.value)]
+          : [undefined, DYNAMIC]
+      ));
+      return entries.some(([, value]) => value === DYNAMIC) ? DYNAMIC : Object.fromEntries(entries);
+    }
+    default:
+      return DYNAMIC;
+  }
+}
+
+/**
+ * Get the name of a Mocha function call, ignoring `.only` and `.skip`
+ */
+function getMochaFunction(callee) {
+  if (callee.type === 'Identifier') {
+    return callee.name;
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier' &&
+    ['only', 'skip'].includes(callee.property.name)) {
+    return callee.object.name;
+  }
+  return undefined;
+}
+
+/**
+ * Get the RTM command of a `cy.<command>()` call, also when chained off other commands
+ */
+function getRTMCommand(callee) {
+  if (callee.type !== 'MemberExpression' || callee.computed || !RTM_COMMANDS.includes(callee.property.name)) {
+    return undefined;
+  }
+
+  let root = callee.object;
+  while (root.type === 'CallExpression' || root.type === 'MemberExpression') {
+    root = root.type === 'CallExpression' ? root.callee : root.object;
+  }
+  return root.type === 'Identifier' && root.name === 'cy' ? callee.property.name : undefined;
+}
+
+/**
+ * Visit every child node of an AST node
+ */
+function forEachChild(node, visit) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'loc' || key.endsWith('Comments')) return;
+
+    [].concat(value).forEach(child => {
+      if (child && typeof child.type === 'string') visit(child);
+    });
+  });
+}
+
+/**
+ * Turn the arguments of a link command into the test case fields the command sends at run time
+ */
+function toTestCaseLinks(command, args) {
+  if (command === 'testMetadata') {
+    const metadata = args[0] || {};
+    return {
+      id: metadata.id,
+      type: metadata.type,
+      priority: metadata.priority,
+      requirements: metadata.requirements || [],
+      userStories: metadata.userStories || [],
+      tags: metadata.tags || [],
+      dependencies: metadata.dependencies || [],
+      criteria: metadata.criteria,
+      description: metadata.description
+    };
+  }
+
+  const [ids, options = {}] = args;
+  const field = command === 'requirement' ? 'requirements' : 'userStories';
+  const itemIds = [].concat(ids);
+  return {
+    type: options.type,
+    priority: options.priority,
+    [field]: itemIds,
+    criteria: toCriteriaLinks(itemIds, options.criteria)
+  };
+}
+
+/**
+ * Get the `rtm` entry of a test config argument, e.g. `it('...', { rtm: {...} }, ...)`
+ */
+function getConfigLinks(node) {
+  const property = node?.type === 'ObjectExpression' && node.properties.find(prop => (
+    prop.type === 'ObjectProperty' && !prop.computed && (prop.key.name ?? prop.key.value) === 'rtm'
+  ));
+  return property ? toStaticValue(property.value) : undefined;
+}
+
+/**
+ * Turn links declared in titles and test config into the fields the support hook sends
+ */
+function toDeclaredLinks(titlePath, metadata) {
+  const titleLinks = parseTitleLinks(titlePath);
+  if (titleLinks.length === 0 && !metadata) {
+    return [];
+  }
+
+  const { requirements = [], userStories = [] } = metadata || {};
+  return [{
+    ...toTestCaseLinks('testMetadata', [{ ...metadata, requirements: [].concat(requirements), userStories: [].concat(userStories) }]),
+    titleLinks
+  }];
+}
+
+/**
+ * Find describe blocks, tests and RTM commands in the source of a spec file
+ * Links are taken from title tokens, `rtm` test config and commands called in a test,
+ * or in a beforeEach hook for every test it runs before.
+ * Calls with titles or arguments computed at run time are skipped with a warning
+ * @param {string} source - Spec file content
+ * @param {string} spec - Spec path relative to the project root
+ * @returns {{suites: Object[], tests: Object[], warnings: string[]}}
+ */
+function parseSpec(source, spec) {
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    plugins: PARSER_PLUGINS[path.extname(spec).toLowerCase()] || ['jsx']
+  });
+
+  const root = { titlePath: [], suiteCalls: [], eachCalls: [] };
+  const blocks = [root];
+  const tests = [];
+  const warnings = [];
+  const warn = (node, message) => warnings.push(`${spec}:${node.loc.start.line} ${message}`);
+
+  const visit = (node, context) => {
+    if (node.type !== 'CallExpression') {
+      forEachChild(node, child => visit(child, context));
+      return;
+    }
+
+    const name = getMochaFunction(node.callee);
+    const callback = node.arguments.find(arg => ['ArrowFunctionExpression', 'FunctionExpression'].includes(arg.type));
+
+    if (SUITE_FUNCTIONS.includes(name) || TEST_FUNCTIONS.includes(name)) {
+      const title = node.arguments.length > 0 ? toStaticValue(node.arguments[0]) : DYNAMIC;
+      if (typeof title !== 'string') {
+        warn(node, `Skipped ${name}() with a title computed at run time`);
+        return;
+      }
+      if (!callback) return;
+
+      const titlePath = [...context.titlePath, title];
+      if (SUITE_FUNCTIONS.includes(name)) {
+        const block = { titlePath, parent: context.block, suiteCalls: [], eachCalls: [] };
+        blocks.push(block);
+        visit(callback.body, { titlePath, block });
+      } else {
+        const metadata = node.arguments.length > 2 ? getConfigLinks(node.arguments[1]) : undefined;
+        if (metadata === DYNAMIC) {
+          warn(node, 'Skipped rtm test config computed at run time');
+        }
+
+        const test = { titlePath, block: context.block, metadata: metadata === DYNAMIC ? undefined : metadata, calls: [] };
+        tests.push(test);
+        visit(callback.body, { ...context, titlePath, test });
+      }
+      return;
+    }
+
+    if (HOOK_FUNCTIONS.includes(name) && callback) {
+      visit(callback.body, { ...context, hook: name });
+      return;
+    }
+
+    const command = getRTMCommand(node.callee);
+    if (!command) {
+      forEachChild(node, child => visit(child, context));
+      return;
+    }
+
+    const args = node.arguments.map(toStaticValue);
+    if (args.includes(DYNAMIC)) {
+      warn(node, `Skipped cy.${command}() with arguments computed at run time`);
+    } else if (command === 'suite') {
+      context.block.suiteCalls.push(args[0] || {});
+    } else if (context.test) {
+      context.test.calls.push({ command, args });
+    } else if (context.hook === 'beforeEach') {
+      context.block.eachCalls.push({ command, args });
+    } else {
+      warn(node, `Skipped cy.${command}() outside of a test or beforeEach hook`);
+    }
+  };
+
+  visit(ast.program, { titlePath: [], block: root });
+
+  // The last cy.suite() call of a describe block wins, as it does at run time
+  const suites = blocks
+    .filter(block => block.suiteCalls.length > 0)
+    .map(block => {
+      const metadata = block.suiteCalls[block.suiteCalls.length - 1];
+      return {
+        id: buildSuiteId(spec, block.titlePath),
+        title: block.titlePath[block.titlePath.length - 1],
+        spec,
+        titlePath: block.titlePath,
+        type: metadata.type,
+        priority: metadata.priority,
+        requirements: metadata.requirements || [],
+        userStories: metadata.userStories || [],
+        tags: metadata.tags || [],
+        description: metadata.description
+      };
+    });
+
+  return {
+    suites,
+    tests: tests.map(test => {
+      // beforeEach hooks run outermost first, before the test body
+      const enclosing = [];
+      for (let block = test.block; block; block = block.parent) {
+        enclosing.unshift(block);
+      }
+
+      return {
+        title: test.titlePath[test.titlePath.length - 1],
+        spec,
+        titlePath: test.titlePath,
+        links: [
+          ...toDeclaredLinks(test.titlePath, test.metadata),
+          ...[...enclosing.flatMap(block => block.eachCalls), ...test.calls]
+            .map(({ command, args }) => toTestCaseLinks(command, args))
+        ]
+      };
+    }),
+    warnings
+  };
+}
+
+module.exports = {
+  parseSpec
+};
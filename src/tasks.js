@@ -1,6 +1,23 @@
 // src/tasks.js
 const { CypressRTM, RTMError } = require('./core');
-const { TEST_TYPES, TEST_PRIORITIES } = require('./constants');
+const RTMFilter = require('./filter');
+const { TEST_STATUSES, LINK_VALIDATION_MODES } = require('./constants');
+const { buildTestCaseId, parseTitleLinks } = require('./utils');
+
+/**
+ * Map a Cypress test state onto an RTM test status
+ */
+function toTestStatus(state) {
+  switch (state) {
+    case 'passed':
+      return TEST_STATUSES.PASSED;
+    case 'failed':
+      return TEST_STATUSES.FAILED;
+    default:
+      // 'pending' and 'skipped' both mean the test body did not run to completion
+      return TEST_STATUSES.SKIPPED;
+  }
+}
 
 class RTMTasks {
   constructor(rtm) {
@@ -8,20 +25,46 @@ class RTMTasks {
       throw new Error('RTMTasks requires a CypressRTM instance');
     }
     this.rtm = rtm;
+    this.testFilter = new RTMFilter(rtm);
+
+    // Spec and title path of tests the filter left out, keyed as by `getTestKey`
+    this.excludedTests = new Set();
 
     // Bind all methods
     this.validateRequirement = this.validateRequirement.bind(this);
     this.validateStory = this.validateStory.bind(this);
     this.addTestCase = this.addTestCase.bind(this);
     this.addSuite = this.addSuite.bind(this);
+    this.matchesFilter = this.matchesFilter.bind(this);
+    this.recordSpecResults = this.recordSpecResults.bind(this);
+    this.afterRun = this.afterRun.bind(this);
+  }
+
+  /**
+   * Resolve the outcome of a link check for an unknown ID according to `validateLinks`
+   * Returns false in strict mode, 'unresolved' in warn mode and true when validation is off
+   */
+  getUnknownLinkResult() {
+    switch (this.rtm.getLinkValidationMode()) {
+      case LINK_VALIDATION_MODES.WARN:
+        return 'unresolved';
+      case LINK_VALIDATION_MODES.OFF:
+        return true;
+      default:
+        return false;
+    }
   }
 
   /**
    * Validate a requirement ID
+   * Deprecated and rejected requirements resolve to their status so the command log can warn about them
    */
   validateRequirement(reqId) {
     try {
-      return this.rtm.requirements.has(reqId);
+      if (this.rtm.isRequirementRetired(reqId)) {
+        return this.rtm.requirements.get(reqId).status;
+      }
+      return this.rtm.requirements.has(reqId) || this.getUnknownLinkResult();
     } catch (error) {
       // Only log unexpected errors
       if (!(error instanceof RTMError)) {
@@ -36,7 +79,7 @@ class RTMTasks {
    */
   validateStory(storyId) {
     try {
-      return this.rtm.userStories.has(storyId);
+      return this.rtm.userStories.has(storyId) || this.getUnknownLinkResult();
     } catch (error) {
       if (!(error instanceof RTMError)) {
         console.error(`Unexpected error validating story ${storyId}:`, error);
@@ -45,16 +88,42 @@ class RTMTasks {
     }
   }
 
+  /**
+   * Check whether links declared in titles and test config give a new test case anything to trace
+   * Title tokens must already be narrowed down to known IDs
+   */
+  hasDeclaredLinks(testCase) {
+    return testCase.titleLinks.length > 0 ||
+      ['requirements', 'userStories', 'tags', 'dependencies'].some(field => testCase[field]?.length > 0) ||
+      ['type', 'priority', 'criteria', 'description'].some(field => testCase[field] !== undefined);
+  }
+
   /**
    * Add a test case
+   * Title tokens naming no known ID, e.g. `it('[smoke] quick check')`, are ordinary title text,
+   * a test declaring nothing else isn't registered
    */
   addTestCase(testCase) {
     try {
+      // Suite metadata and defaults only apply to new records so later link calls don't reset earlier metadata,
+      // and links added to an existing record, e.g. a manual test case with the same ID, keep its automated flag
+      const isNew = !this.rtm.findTestCase(testCase);
+      const { automated, ...update } = testCase;
+      const links = update.titleLinks
+        ? { ...update, titleLinks: update.titleLinks.filter(id => this.rtm.requirements.has(id) || this.rtm.userStories.has(id)) }
+        : update;
+      const baseTestCase = isNew ? this.rtm.inheritSuiteMetadata(links) : links;
+      if (isNew && baseTestCase.titleLinks && !this.hasDeclaredLinks(baseTestCase)) {
+        return null;
+      }
+
       const enhancedTestCase = {
-        ...testCase,
-        type: testCase.type || TEST_TYPES.E2E,
-        priority: testCase.priority || TEST_PRIORITIES.P1,
-        automated: true
+        ...baseTestCase,
+        ...(isNew && {
+          type: baseTestCase.type || this.rtm.getDefaultTaxonomyValue('testTypes'),
+          priority: baseTestCase.priority || this.rtm.getDefaultTaxonomyValue('testPriorities'),
+          automated: true
+        })
       };
       this.rtm.addTestCase(enhancedTestCase);
       return null;
@@ -85,6 +154,125 @@ class RTMTasks {
     }
   }
 
+  /**
+   * Key a test by its spec and title path
+   */
+  getTestKey(spec, titlePath) {
+    return JSON.stringify([spec, titlePath]);
+  }
+
+  /**
+   * Check whether a test is selected by the filter given through Cypress env
+   * The filter is kept on the RTM instance so the reports show which tests were selected,
+   * tests left out are remembered so their results aren't recorded
+   */
+  async matchesFilter({ filter, test }) {
+    this.rtm.filter = filter;
+    const selected = await this.testFilter.matches(filter, test);
+    if (!selected) {
+      this.excludedTests.add(this.getTestKey(test.spec, test.titlePath));
+    }
+    return selected;
+  }
+
+  /**
+   * Record final state, duration, attempts and error of every linked test in a spec
+   * Tests the filter left out didn't run and aren't recorded, rather than recorded as skipped
+   */
+  recordSpecResults(spec, results) {
+    if (!results || !Array.isArray(results.tests)) {
+      return;
+    }
+
+    results.tests.forEach(test => {
+      if (this.excludedTests.has(this.getTestKey(spec.relative, test.title))) {
+        return;
+      }
+
+      const title = test.title[test.title.length - 1];
+      const identity = {
+        id: buildTestCaseId(spec.relative, test.title),
+        title,
+        spec: spec.relative,
+        titlePath: test.title
+      };
+
+      const attempts = test.attempts || [];
+      const lastAttempt = attempts[attempts.length - 1];
+
+      // Cypress 13+ reports duration per test, older versions per attempt
+      const duration = test.duration ??
+        attempts.reduce((total, attempt) => total + (attempt.duration || attempt.wallClockDuration || 0), 0);
+
+      try {
+        let testCase = this.rtm.findTestCase(identity);
+
+        // Tests without their own link commands are still traced through suite metadata
+        if (!testCase && this.rtm.getSuitesForTest(identity).length > 0) {
+          this.addTestCase(identity);
+          testCase = this.rtm.findTestCase(identity);
+        }
+
+        // Tests skipped before the support hook ran are still traced through links in their titles
+        const titleLinks = parseTitleLinks(test.title)
+          .filter(id => this.rtm.requirements.has(id) || this.rtm.userStories.has(id));
+        if (!testCase && titleLinks.length > 0) {
+          this.addTestCase({ ...identity, titleLinks });
+          testCase = this.rtm.findTestCase(identity);
+        }
+
+        // Scenarios of feature specs are traced to the user story loaded from the same file
+        const match = !testCase && this.rtm.findScenario(identity);
+        if (match) {
+          this.addTestCase({
+            ...identity,
+            userStories: [match.story.id],
+            requirements: match.scenario.requirements.filter(reqId => this.rtm.requirements.has(reqId)),
+            ...(match.story.acceptanceCriteria?.length > 0 && {
+              criteria: { [match.story.id]: [match.story.scenarios.indexOf(match.scenario)] }
+            })
+          });
+          testCase = this.rtm.findTestCase(identity);
+        }
+        if (!testCase) {
+          return;
+        }
+
+        this.rtm.recordTestResult(testCase.id, {
+          status: toTestStatus(test.state),
+          duration,
+          attempts: attempts.length,
+          error: test.displayError || lastAttempt?.error?.message || undefined
+        });
+      } catch (error) {
+        if (!(error instanceof RTMError)) {
+          console.error(`Unexpected error recording result for ${title}:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Import the result files configured in `externalResults`, so reports cover tests run outside Cypress
+   * Rejected links are logged rather than failing the run
+   */
+  async importExternalResults() {
+    for (const { path: sourcePaths, type } of [].concat(this.rtm.config.externalResults || [])) {
+      const { errors } = await this.rtm.importResults(sourcePaths, { type });
+      errors.forEach(error => console.warn(`RTM: ${error}`));
+    }
+  }
+
+  /**
+   * Generate reports once the run finishes, then enforce the quality gates
+   * A violation rejects the after:run handler so the Cypress run exits non-zero
+   */
+  async afterRun(results) {
+    await this.importExternalResults();
+    await this.rtm.generateReports(results);
+    this.rtm.assertQualityGates();
+  }
+
   /**
    * Register all RTM-related tasks with Cypress
    */
@@ -93,11 +281,13 @@ class RTMTasks {
       'rtm:validateRequirement': this.validateRequirement,
       'rtm:validateStory': this.validateStory,
       'rtm:addTestCase': this.addTestCase,
-      'rtm:addSuite': this.addSuite
+      'rtm:addSuite': this.addSuite,
+      'rtm:matchesFilter': this.matchesFilter
     };
 
     on('task', tasks);
-    on('after:run', () => this.rtm.generateReports());
+    on('after:spec', this.recordSpecResults);
+    on('after:run', this.afterRun);
   }
 }
 
@@ -0,0 +1,113 @@
+// src/taxonomy.js
+const {
+  REQUIREMENT_TYPES,
+  TEST_TYPES,
+  REQUIREMENT_PRIORITIES,
+  TEST_PRIORITIES
+} = require('./constants');
+
+/**
+ * Built-in taxonomies, in report order
+ * Entries marked as default are assigned to tests that don't set a type or priority
+ */
+const DEFAULT_TAXONOMIES = {
+  requirementTypes: [
+    { value: REQUIREMENT_TYPES.FUNCTIONAL, label: 'Functional' },
+    { value: REQUIREMENT_TYPES.SECURITY, label: 'Security' },
+    { value: REQUIREMENT_TYPES.PERFORMANCE, label: 'Performance' },
+    { value: REQUIREMENT_TYPES.ACCESSIBILITY, label: 'Accessibility' },
+    { value: REQUIREMENT_TYPES.COMPLIANCE, label: 'Compliance' },
+    { value: REQUIREMENT_TYPES.TECHNICAL, label: 'Technical' },
+    { value: REQUIREMENT_TYPES.INFRASTRUCTURE, label: 'Infrastructure' }
+  ],
+  testTypes: [
+    { value: TEST_TYPES.UNIT, label: 'Unit' },
+    { value: TEST_TYPES.INTEGRATION, label: 'Integration' },
+    { value: TEST_TYPES.E2E, label: 'End-to-end', default: true },
+    { value: TEST_TYPES.API, label: 'API' },
+    { value: TEST_TYPES.PERFORMANCE, label: 'Performance' },
+    { value: TEST_TYPES.SECURITY, label: 'Security' },
+    { value: TEST_TYPES.ACCESSIBILITY, label: 'Accessibility' },
+    { value: TEST_TYPES.SMOKE, label: 'Smoke' }
+  ],
+  requirementPriorities: [
+    { value: REQUIREMENT_PRIORITIES.P0, label: 'P0 Critical', color: '#cf222e' },
+    { value: REQUIREMENT_PRIORITIES.P1, label: 'P1 High', color: '#bc4c00' },
+    { value: REQUIREMENT_PRIORITIES.P2, label: 'P2 Medium', color: '#9a6700' },
+    { value: REQUIREMENT_PRIORITIES.P3, label: 'P3 Low', color: '#57606a' }
+  ],
+  testPriorities: [
+    { value: TEST_PRIORITIES.P1, label: 'P1 Must run', color: '#cf222e', default: true },
+    { value: TEST_PRIORITIES.P2, label: 'P2 High value', color: '#bc4c00' },
+    { value: TEST_PRIORITIES.P3, label: 'P3 Nice to have', color: '#9a6700' },
+    { value: TEST_PRIORITIES.P4, label: 'P4 Edge cases', color: '#57606a' }
+  ]
+};
+
+/**
+ * Normalise a taxonomy entry given as a plain value or as an object
+ */
+function toEntry(item) {
+  const entry = typeof item === 'string' ? { value: item } : { ...item };
+  if (typeof entry.value !== 'string' || !entry.value) {
+    throw new Error(`Invalid taxonomy entry ${JSON.stringify(item)}`);
+  }
+  return { ...entry, label: entry.label || entry.value };
+}
+
+/**
+ * Resolve one taxonomy from its built-in entries and the configured changes
+ * `replace` discards the built-in entries, `extend` appends to them or overrides
+ * the label, colour and default of an existing value in place
+ */
+function resolveTaxonomy(builtIn, definition = {}) {
+  const entries = definition.replace ? [] : builtIn.map(entry => ({ ...entry }));
+
+  const configured = [...(definition.replace || []), ...(definition.extend || [])].map(toEntry);
+  configured.forEach(entry => {
+    const index = entries.findIndex(existing => existing.value === entry.value);
+    if (index === -1) {
+      entries.push(entry);
+    } else {
+      entries[index] = { ...entries[index], ...entry };
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error('Taxonomy has no values');
+  }
+
+  // A configured default replaces the built-in one, the first entry is the fallback
+  const configuredDefault = configured.find(entry => entry.default);
+  const defaultValue = configuredDefault?.value || (entries.find(entry => entry.default) || entries[0]).value;
+  entries.forEach(entry => {
+    entry.default = entry.value === defaultValue;
+  });
+
+  return entries;
+}
+
+/**
+ * Resolve all taxonomies from `config.taxonomies`
+ * @param {Object} [taxonomies] - Changes per taxonomy, keyed like DEFAULT_TAXONOMIES
+ * @returns {Object} Ordered entries `{ value, label, color, default }` per taxonomy
+ */
+function resolveTaxonomies(taxonomies = {}) {
+  const unknown = Object.keys(taxonomies).filter(name => !DEFAULT_TAXONOMIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown taxonomy ${unknown.join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_TAXONOMIES).map(([name, builtIn]) => {
+    try {
+      return [name, resolveTaxonomy(builtIn, taxonomies[name])];
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }));
+}
+
+module.exports = {
+  DEFAULT_TAXONOMIES,
+  resolveTaxonomies
+};
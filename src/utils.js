@@ -0,0 +1,132 @@
+// src/utils.js
+const { FILTER_ENV_KEYS } = require('./constants');
+
+/**
+ * Build a stable test case ID from the spec file and the full title path
+ * @param {string} [spec] - Spec file path relative to the project root
+ * @param {string[]} titlePath - Describe block titles followed by the test title
+ * @returns {string}
+ */
+function buildTestCaseId(spec, titlePath) {
+  return `TC-${[spec, ...titlePath].filter(Boolean).join(' > ')}`;
+}
+
+/**
+ * Build a stable suite ID from the spec file and the describe title path
+ * @param {string} [spec] - Spec file path relative to the project root
+ * @param {string[]} titlePath - Describe block titles, outermost first
+ * @returns {string}
+ */
+function buildSuiteId(spec, titlePath) {
+  return `TS-${[spec, ...titlePath].filter(Boolean).join(' > ')}`;
+}
+
+/**
+ * Check whether a suite title path encloses a test title path
+ * @param {string[]} suitePath - Describe block titles of the suite
+ * @param {string[]} titlePath - Title path of the test
+ * @returns {boolean}
+ */
+function isTitlePathPrefix(suitePath, titlePath) {
+  return suitePath.length < titlePath.length &&
+    suitePath.every((title, index) => titlePath[index] === title);
+}
+
+/**
+ * Check whether a test title names a Gherkin scenario
+ * Cucumber preprocessors title each Scenario Outline example `<name> (example #N)`
+ * @param {string} title - Test title
+ * @param {string} scenarioName - Scenario name from the feature file
+ * @returns {boolean}
+ */
+function isScenarioTitle(title, scenarioName) {
+  return title === scenarioName || String(title).startsWith(`${scenarioName} (example #`);
+}
+
+/**
+ * Combine the statuses of the tests verifying one item
+ * Any failure wins, then any pass, then skips; items without tests are uncovered
+ * @param {Object[]} testCases - Linked test cases
+ * @returns {string}
+ */
+function aggregateStatus(testCases) {
+  if (testCases.length === 0) return 'uncovered';
+  if (testCases.some(tc => tc.status === 'failed')) return 'failed';
+  if (testCases.some(tc => tc.status === 'passed')) return 'passed';
+  if (testCases.some(tc => tc.status === 'skipped')) return 'skipped';
+  return 'not-run';
+}
+
+/**
+ * Normalise acceptance criteria into `{ id, text }` entries
+ * Plain strings get positional IDs (AC-1, AC-2, ...), objects keep their own ID
+ * @param {Array<string|Object>} [criteria] - Acceptance criteria of a requirement or user story
+ * @returns {Array<{id: string, text: string}>}
+ */
+function normalizeCriteria(criteria = []) {
+  return criteria.map((criterion, index) => (
+    typeof criterion === 'string'
+      ? { id: `AC-${index + 1}`, text: criterion }
+      : { ...criterion, id: criterion.id || `AC-${index + 1}`, text: criterion.text ?? criterion.description }
+  ));
+}
+
+/**
+ * Link the given acceptance criteria (indexes or criterion IDs) to every requirement or story
+ * @param {string[]} itemIds - Requirement or user story IDs
+ * @param {number|string|Array<number|string>} [criteria] - Criteria of each item
+ * @returns {Object|undefined}
+ */
+function toCriteriaLinks(itemIds, criteria) {
+  if (criteria === undefined) {
+    return undefined;
+  }
+  return Object.fromEntries(itemIds.map(itemId => [itemId, [].concat(criteria)]));
+}
+
+/**
+ * Bracketed link tokens in titles, e.g. `[REQ-001]`
+ */
+const TITLE_LINK_PATTERN = /\[([^\[\]\s]+)\]/g;
+
+/**
+ * Find link tokens such as `[REQ-001][US-003]` in test and describe titles
+ * @param {string|string[]} titles - Titles to search, usually the title path of a test
+ * @returns {string[]} Tokens without brackets, in order of appearance
+ */
+function parseTitleLinks(titles) {
+  const tokens = [].concat(titles).flatMap(title => Array.from(title.matchAll(TITLE_LINK_PATTERN), match => match[1]));
+  return [...new Set(tokens)];
+}
+
+/**
+ * Read the test filter from Cypress env values, e.g. `--env rtmRequirements=REQ-001|REQ-007`
+ * Values are separated by commas or by pipes, which survive `--env` splitting its pairs on commas
+ * @param {Object} [env] - Cypress env
+ * @returns {Object|undefined} Values per filter field, undefined when no filter is set
+ */
+function parseFilter(env = {}) {
+  const filter = {};
+
+  Object.entries(FILTER_ENV_KEYS).forEach(([field, key]) => {
+    const values = [].concat(env[key] ?? [])
+      .flatMap(value => String(value).split(/[,|]/))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) filter[field] = values;
+  });
+
+  return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+module.exports = {
+  buildTestCaseId,
+  parseFilter,
+  parseTitleLinks,
+  normalizeCriteria,
+  toCriteriaLinks,
+  aggregateStatus,
+  buildSuiteId,
+  isTitlePathPrefix,
+  isScenarioTitle
+};
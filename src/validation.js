@@ -0,0 +1,127 @@
+// src/validation.js
+const Ajv = require('ajv');
+const {
+  REQUIREMENT_SCHEMA,
+  USER_STORY_SCHEMA,
+  TEST_CASE_SCHEMA,
+  LINK_VALIDATION_MODES
+} = require('./constants');
+
+/**
+ * Built-in schemas keyed like `config.schemas`
+ */
+const BASE_SCHEMAS = {
+  requirement: REQUIREMENT_SCHEMA,
+  userStory: USER_STORY_SCHEMA,
+  testCase: TEST_CASE_SCHEMA
+};
+
+/**
+ * Turn an ajv error into a readable message prefixed with the record and field path
+ */
+function formatError(prefix, error) {
+  const target = `${prefix}${error.dataPath}`;
+
+  switch (error.keyword) {
+    case 'required':
+      return `${target}.${error.params.missingProperty} is required`;
+    case 'enum':
+      return `${target} must be one of ${error.params.allowedValues.join(', ')}`;
+    case 'type':
+      return `${target} must be ${error.params.type}`;
+    case 'anyOf':
+      return `${target} has an invalid value`;
+    default:
+      return `${target} ${error.message.replace(/^should/, 'must')}`;
+  }
+}
+
+class RTMValidator {
+  constructor(rtm) {
+    this.rtm = rtm;
+    this.ajv = new Ajv({ allErrors: true });
+    this.validators = Object.fromEntries(
+      Object.keys(BASE_SCHEMAS).map(name => [name, this.ajv.compile(this.buildSchema(name))])
+    );
+  }
+
+  /**
+   * Build a schema with the configured taxonomies as enums and custom fields from `config.schemas`
+   */
+  buildSchema(name) {
+    const base = BASE_SCHEMAS[name];
+    const custom = this.rtm.config.schemas?.[name] || {};
+    const properties = { ...base.properties };
+
+    if (name === 'requirement') {
+      properties.type = { enum: this.rtm.getTaxonomyValues('requirementTypes') };
+      properties.priority = { enum: this.rtm.getTaxonomyValues('requirementPriorities') };
+    } else if (name === 'testCase') {
+      properties.type = { enum: this.rtm.getTaxonomyValues('testTypes') };
+      properties.priority = { enum: this.rtm.getTaxonomyValues('testPriorities') };
+    }
+
+    return {
+      type: 'object',
+      ...base,
+      ...custom,
+      required: [...new Set([...base.required, ...(custom.required || [])])],
+      properties: { ...properties, ...custom.properties }
+    };
+  }
+
+  /**
+   * Run a compiled schema and format its errors
+   */
+  check(name, record, prefix) {
+    const validate = this.validators[name];
+    if (validate(record)) {
+      return [];
+    }
+
+    return validate.errors
+      // Failures inside anyOf branches are summarised by the anyOf error itself
+      .filter(error => !error.schemaPath.includes('/anyOf/'))
+      .map(error => formatError(prefix, error));
+  }
+
+  /**
+   * Validate a requirement, returning every problem found
+   */
+  validateRequirement(requirement) {
+    return this.check('requirement', requirement, requirement?.id || 'requirement');
+  }
+
+  /**
+   * Validate a user story, returning every problem found
+   */
+  validateUserStory(story) {
+    return this.check('userStory', story, story?.id || 'userStory');
+  }
+
+  /**
+   * Validate a test case, returning every problem found
+   * In strict link validation mode links to unknown requirements and user stories are problems too
+   */
+  validateTestCase(testCase) {
+    const errors = this.check('testCase', testCase, 'testCase');
+    if (this.rtm.getLinkValidationMode() !== LINK_VALIDATION_MODES.STRICT) {
+      return errors;
+    }
+
+    const stores = { requirements: this.rtm.requirements, userStories: this.rtm.userStories };
+    Object.entries(stores).forEach(([field, store]) => {
+      if (!Array.isArray(testCase[field])) return;
+
+      testCase[field].forEach((id, index) => {
+        if (typeof id === 'string' && !store.has(id)) {
+          errors.push(`testCase.${field}[${index}] references unknown ${id}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+module.exports = RTMValidator;
@@ -0,0 +1,192 @@
+// tests/baseline.test.js
+const RTMBaseline = require('../src/baseline');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES
+} = require('../src/constants');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('RTMBaseline', () => {
+  let rtm;
+  let baseline;
+  const outputPath = path.join(__dirname, 'output-baseline');
+
+  const run = (n) => ({ runId: `run-${n}`, timestamp: `2024-01-0${n}T00:00:00.000Z` });
+
+  beforeEach(async () => {
+    rtm = new CypressRTM({ outputPath });
+
+    rtm.requirements = new Map([
+      ['REQ-001', {
+        id: 'REQ-001',
+        title: 'Login Functionality',
+        type: REQUIREMENT_TYPES.FUNCTIONAL,
+        priority: REQUIREMENT_PRIORITIES.P0
+      }],
+      ['REQ-002', {
+        id: 'REQ-002',
+        title: 'Password Security',
+        type: REQUIREMENT_TYPES.SECURITY,
+        priority: REQUIREMENT_PRIORITIES.P1
+      }]
+    ]);
+
+    rtm.testCases = new Map([
+      ['TC-001', {
+        id: 'TC-001',
+        title: 'Successful Login',
+        type: TEST_TYPES.E2E,
+        priority: TEST_PRIORITIES.P1,
+        requirements: ['REQ-001', 'REQ-002'],
+        status: 'passed'
+      }]
+    ]);
+
+    baseline = new RTMBaseline(rtm);
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputPath, { recursive: true, force: true });
+  });
+
+  test('should hash requirements independently of key order and location', () => {
+    const requirement = rtm.requirements.get('REQ-001');
+    const reordered = { priority: requirement.priority, type: requirement.type, title: requirement.title, id: requirement.id };
+
+    expect(baseline.hashRequirement(reordered)).toBe(baseline.hashRequirement(requirement));
+    expect(baseline.hashRequirement({ ...requirement, file: 'other.json' })).toBe(baseline.hashRequirement(requirement));
+    expect(baseline.hashRequirement({ ...requirement, status: 'implemented' })).toBe(baseline.hashRequirement(requirement));
+    expect(baseline.hashRequirement({ ...requirement, title: 'Login' })).not.toBe(baseline.hashRequirement(requirement));
+  });
+
+  test('should record the first baseline without reporting changes', async () => {
+    const result = await baseline.update(run(1));
+
+    expect(result).toEqual({ previous: null, added: [], removed: [], modified: [], suspectTests: [] });
+
+    const written = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(written.requirements['REQ-001']).toEqual({
+      hash: baseline.hashRequirement(rtm.requirements.get('REQ-001')),
+      changedAt: run(1).timestamp
+    });
+    expect(written.testCases['TC-001']).toMatchObject({ runId: 'run-1', requirements: { 'REQ-001': expect.any(String) } });
+  });
+
+  test('should report requirements added, removed and modified since the previous run', async () => {
+    await baseline.update(run(1));
+
+    rtm.requirements.get('REQ-001').title = 'Login with SSO';
+    rtm.requirements.delete('REQ-002');
+    rtm.requirements.set('REQ-003', { id: 'REQ-003', title: 'Logout', type: REQUIREMENT_TYPES.FUNCTIONAL, priority: REQUIREMENT_PRIORITIES.P2 });
+    rtm.testCases.get('TC-001').requirements = ['REQ-001'];
+
+    const result = await baseline.update(run(2));
+
+    expect(result).toMatchObject({
+      previous: { runId: 'run-1', timestamp: run(1).timestamp },
+      added: ['REQ-003'],
+      removed: ['REQ-002'],
+      modified: ['REQ-001']
+    });
+
+    const written = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(written.requirements['REQ-001'].changedAt).toBe(run(2).timestamp);
+  });
+
+  test('should flag tests whose requirement changed even when they pass', async () => {
+    await baseline.update(run(1));
+
+    rtm.requirements.get('REQ-002').title = 'Password Security v2';
+    const changed = await baseline.update(run(2));
+
+    expect(changed.suspectTests).toEqual([{
+      testId: 'TC-001',
+      title: 'Successful Login',
+      verifiedAt: run(1).timestamp,
+      requirements: ['REQ-002']
+    }]);
+    expect(rtm.testCases.get('TC-001').suspectRequirements).toEqual(['REQ-002']);
+
+    const written = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(written.testCases['TC-001']).toEqual({
+      runId: 'run-1',
+      timestamp: run(1).timestamp,
+      requirements: {
+        'REQ-001': baseline.hashRequirement(rtm.requirements.get('REQ-001')),
+        'REQ-002': baseline.hashRequirement({ ...rtm.requirements.get('REQ-002'), title: 'Password Security' })
+      }
+    });
+  });
+
+  test('should not report lifecycle changes as requirement changes', async () => {
+    rtm.requirements.get('REQ-001').status = 'approved';
+    await baseline.update(run(1));
+
+    rtm.requirements.get('REQ-001').status = 'implemented';
+    expect(await baseline.update(run(2))).toMatchObject({ modified: [], suspectTests: [] });
+  });
+
+  test('should keep tests suspect whatever their status until they are re-verified', async () => {
+    await baseline.update(run(1));
+    rtm.requirements.get('REQ-002').title = 'Password Security v2';
+
+    for (const [n, status] of [[2, 'failed'], [3, 'skipped'], [4, 'passed'], [5, 'passed']]) {
+      rtm.testCases.get('TC-001').status = status;
+      expect((await baseline.update(run(n))).suspectTests).toHaveLength(1);
+    }
+
+    await expect(baseline.reverify(['TC-001'])).resolves.toEqual([{ testId: 'TC-001', requirements: ['REQ-002'] }]);
+
+    expect((await baseline.update(run(6))).suspectTests).toEqual([]);
+    expect(rtm.testCases.get('TC-001').suspectRequirements).toBeUndefined();
+  });
+
+  test('should record requirements newly linked to a verified test when it passes', async () => {
+    await baseline.update(run(1));
+
+    rtm.requirements.set('REQ-003', { id: 'REQ-003', title: 'Logout', type: REQUIREMENT_TYPES.FUNCTIONAL, priority: REQUIREMENT_PRIORITIES.P2 });
+    rtm.testCases.get('TC-001').requirements.push('REQ-003');
+    await baseline.update(run(2));
+
+    const written = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(Object.keys(written.testCases['TC-001'].requirements)).toEqual(['REQ-001', 'REQ-002', 'REQ-003']);
+  });
+
+  test('should reject re-verifying tests missing from the baseline', async () => {
+    await baseline.update(run(1));
+
+    await expect(baseline.reverify(['TC-404'])).rejects.toThrow('Tests not verified in the requirement baseline: TC-404');
+  });
+
+  test('should keep verification of tests missing from the current run', async () => {
+    await baseline.update(run(1));
+
+    rtm.testCases = new Map();
+    await baseline.update(run(2));
+
+    const written = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(written.testCases['TC-001'].runId).toBe('run-1');
+  });
+
+  test('should report changes of filtered runs without replacing the baseline', async () => {
+    await baseline.update(run(1));
+
+    rtm.requirements.get('REQ-002').title = 'Password Security v2';
+    rtm.filter = { requirements: ['REQ-002'] };
+
+    expect(await baseline.update(run(2))).toMatchObject({ modified: ['REQ-002'], suspectTests: [{ testId: 'TC-001' }] });
+    expect((await baseline.loadBaseline()).runId).toBe('run-1');
+  });
+
+  test('should write the baseline to the configured path', async () => {
+    rtm.config.baselinePath = path.join(outputPath, 'audit', 'requirements-baseline.json');
+
+    await new RTMBaseline(rtm).update(run(1));
+
+    await expect(fs.access(rtm.config.baselinePath)).resolves.toBeUndefined();
+  });
+});
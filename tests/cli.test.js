@@ -0,0 +1,154 @@
+// tests/cli.test.js
+const { run } = require('../src/cli');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('RTM CLI', () => {
+  const outputPath = path.join(__dirname, 'output-cli');
+  let io;
+
+  beforeEach(() => {
+    io = {
+      stdout: { write: jest.fn() },
+      stderr: { write: jest.fn() }
+    };
+  });
+
+  afterAll(async () => {
+    await fs.rm(outputPath, { recursive: true, force: true }).catch(() => {});
+  });
+
+  test('should write planned coverage reports from a scan', async () => {
+    const code = await run([
+      'scan', path.join(__dirname, 'fixtures/specs/login.cy.js'),
+      '--requirements', path.join(__dirname, 'fixtures/requirements.json'),
+      '--user-stories', path.join(__dirname, 'fixtures/user-stories.json'),
+      '--output', outputPath
+    ], io);
+
+    expect(code).toBe(0);
+    expect(io.stdout.write).toHaveBeenCalledWith(expect.stringContaining('Scanned 1 spec file(s), 2 planned test case(s)'));
+
+    const report = JSON.parse(await fs.readFile(path.join(outputPath, 'rtm-report.json'), 'utf8'));
+    expect(report.summary.totalTestCases).toBe(2);
+    expect(report.matrix[0]).toMatchObject({
+      requirementId: 'REQ-001',
+      coverage: 'covered',
+      tests: [expect.objectContaining({ status: 'not-run' }), { id: 'TC-LOGIN-2', status: 'not-run' }]
+    });
+    await expect(fs.access(path.join(outputPath, 'rtm-report.html'))).resolves.toBeUndefined();
+  });
+
+  test('should report failures of the impact analysis', async () => {
+    const code = await run([
+      'impact', 'no-such-revision',
+      '--requirements', path.join(__dirname, 'fixtures/requirements.json'),
+      '--user-stories', path.join(__dirname, 'fixtures/user-stories.json'),
+      '--output', outputPath
+    ], io);
+
+    expect(code).toBe(1);
+    expect(io.stderr.write).toHaveBeenCalledWith(expect.stringContaining('Failed to list changes in no-such-revision'));
+  });
+
+  test('should import external results into the reports', async () => {
+    const importPath = path.join(outputPath, 'import');
+    const code = await run([
+      'import', path.join(__dirname, 'fixtures/results/junit.xml'),
+      '--type', 'api',
+      '--requirements', path.join(__dirname, 'fixtures/requirements.json'),
+      '--user-stories', path.join(__dirname, 'fixtures/user-stories.json'),
+      '--output', importPath
+    ], io);
+
+    expect(code).toBe(0);
+    expect(io.stdout.write).toHaveBeenCalledWith(
+      expect.stringContaining('Imported 3 linked test case(s) from 1 file(s), 1 test(s) without links skipped')
+    );
+
+    const report = JSON.parse(await fs.readFile(path.join(importPath, 'rtm-report.json'), 'utf8'));
+    expect(report.execution.testCases.map(tc => [tc.id, tc.type, tc.status])).toEqual([
+      ['TC-tests/api/auth.test.js > Auth API > [REQ-001] issues a token', 'api', 'passed'],
+      ['TC-API-7', 'security', 'failed'],
+      ['TC-tests/api/auth.test.js > Auth API > [REQ-001] refreshes tokens', 'api', 'skipped']
+    ]);
+  });
+
+  test('should merge imported results into the existing reports without recording a run', async () => {
+    const mergePath = path.join(outputPath, 'merge');
+    const args = [
+      '--requirements', path.join(__dirname, 'fixtures/requirements.json'),
+      '--user-stories', path.join(__dirname, 'fixtures/user-stories.json'),
+      '--output', mergePath
+    ];
+    expect(await run(['scan', path.join(__dirname, 'fixtures/specs/login.cy.js'), ...args], io)).toBe(0);
+
+    const recorded = {
+      'history/index.json': JSON.stringify({ runs: ['run-1'] }),
+      'history/run-1.json': JSON.stringify({ runId: 'run-1', testCases: [] }),
+      'baseline.json': JSON.stringify({ runId: 'run-1', requirements: {}, testCases: {} })
+    };
+    await fs.mkdir(path.join(mergePath, 'history'), { recursive: true });
+    for (const [file, content] of Object.entries(recorded)) {
+      await fs.writeFile(path.join(mergePath, file), content);
+    }
+
+    const junit = path.join(__dirname, 'fixtures/results/junit.xml');
+    expect(await run(['import', junit, ...args], io)).toBe(0);
+    expect(await run(['import', junit, ...args], io)).toBe(0);
+
+    expect((await fs.readdir(path.join(mergePath, 'history'))).sort()).toEqual(['index.json', 'run-1.json']);
+    for (const [file, content] of Object.entries(recorded)) {
+      expect(await fs.readFile(path.join(mergePath, file), 'utf8')).toBe(content);
+    }
+    await expect(fs.access(path.join(mergePath, 'coverage.json'))).rejects.toThrow();
+
+    const report = JSON.parse(await fs.readFile(path.join(mergePath, 'rtm-report.json'), 'utf8'));
+    expect(report.execution.testCases.map(tc => tc.id)).toEqual([
+      expect.stringContaining('TC-'),
+      'TC-LOGIN-2',
+      'TC-tests/api/auth.test.js > Auth API > [REQ-001] issues a token',
+      'TC-API-7',
+      'TC-tests/api/auth.test.js > Auth API > [REQ-001] refreshes tokens'
+    ]);
+  });
+
+  test('should require result files to import', async () => {
+    expect(await run(['import'], io)).toBe(2);
+    expect(io.stderr.write).toHaveBeenCalledWith(expect.stringContaining('No result files given'));
+  });
+
+  test('should re-verify suspect tests', async () => {
+    await fs.mkdir(outputPath, { recursive: true });
+    await fs.writeFile(path.join(outputPath, 'baseline.json'), JSON.stringify({
+      runId: 'run-1',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      requirements: {},
+      testCases: { 'TC-LOGIN-2': { runId: 'run-1', timestamp: '2024-01-01T00:00:00.000Z', requirements: { 'REQ-001': 'outdated' } } }
+    }));
+    const args = [
+      '--requirements', path.join(__dirname, 'fixtures/requirements.json'),
+      '--user-stories', path.join(__dirname, 'fixtures/user-stories.json'),
+      '--output', outputPath
+    ];
+
+    expect(await run(['reverify', 'TC-LOGIN-2', ...args], io)).toBe(0);
+    expect(io.stdout.write).toHaveBeenCalledWith('TC-LOGIN-2: re-verified against REQ-001\n');
+
+    const baseline = JSON.parse(await fs.readFile(path.join(outputPath, 'baseline.json'), 'utf8'));
+    expect(baseline.testCases['TC-LOGIN-2'].requirements['REQ-001']).toMatch(/^[0-9a-f]{64}$/);
+
+    expect(await run(['reverify', 'TC-404', ...args], io)).toBe(1);
+    expect(io.stderr.write).toHaveBeenCalledWith(expect.stringContaining('Tests not verified in the requirement baseline: TC-404'));
+  });
+
+  test('should exit non-zero for unknown commands', async () => {
+    expect(await run(['plan'], io)).toBe(2);
+    expect(io.stderr.write).toHaveBeenCalledWith(expect.stringContaining('Unknown command plan'));
+  });
+
+  test('should print usage', async () => {
+    expect(await run(['--help'], io)).toBe(0);
+    expect(io.stdout.write).toHaveBeenCalledWith(expect.stringContaining('Usage: cypress-rtm <command>'));
+  });
+});
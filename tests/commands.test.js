@@ -12,6 +12,8 @@ describe('RTM Commands', () => {
       Commands: {
         add: jest.fn()
       },
+      log: jest.fn(),
+      env: jest.fn(() => ({})),
       currentTest: {
         title: 'Test Case Title',
         suite: {
@@ -20,6 +22,9 @@ describe('RTM Commands', () => {
       }
     };
 
+    // Capture the hook registered for declared links instead of adding it to Jest
+    global.beforeEach = jest.fn();
+
     // Mock RTM instance
     rtm = {
       validateRequirement: jest.fn(),
@@ -68,8 +73,6 @@ describe('RTM Commands', () => {
     expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
       id: 'TC-Test Case Title',
       title: 'Test Case Title',
-      type: TEST_TYPES.E2E,
-      priority: TEST_PRIORITIES.P1,
       requirements: ['REQ-001'],
       automated: true
     }));
@@ -97,8 +100,6 @@ describe('RTM Commands', () => {
     expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
       id: 'TC-Test Case Title',
       title: 'Test Case Title',
-      type: TEST_TYPES.E2E,
-      priority: TEST_PRIORITIES.P1,
       userStories: ['US-001'],
       automated: true
     }));
@@ -138,4 +139,227 @@ describe('RTM Commands', () => {
       automated: true
     }));
   });
-});
\ No newline at end of file
+
+  test('requirement command should accept multiple requirement IDs', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => true;
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    await reqCommand(['REQ-001', 'REQ-002'], { type: TEST_TYPES.API, priority: TEST_PRIORITIES.P2 });
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:validateRequirement', 'REQ-001');
+    expect(cy.task).toHaveBeenCalledWith('rtm:validateRequirement', 'REQ-002');
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
+      type: TEST_TYPES.API,
+      priority: TEST_PRIORITIES.P2,
+      requirements: ['REQ-001', 'REQ-002']
+    }));
+  });
+
+  test('userStory command should accept multiple story IDs', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateStory'] = () => true;
+
+    const storyCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'userStory'
+    )[1];
+
+    await storyCommand(['US-001', 'US-002']);
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:validateStory', 'US-001');
+    expect(cy.task).toHaveBeenCalledWith('rtm:validateStory', 'US-002');
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
+      userStories: ['US-001', 'US-002']
+    }));
+  });
+
+  test('should derive test case ID from spec file and title path', async () => {
+    Cypress.spec = { relative: 'cypress/e2e/login.cy.js' };
+    Cypress.currentTest.titlePath = ['Authentication', 'Test Case Title'];
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => true;
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    await reqCommand('REQ-001');
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
+      id: 'TC-cypress/e2e/login.cy.js > Authentication > Test Case Title',
+      title: 'Test Case Title',
+      spec: 'cypress/e2e/login.cy.js',
+      titlePath: ['Authentication', 'Test Case Title']
+    }));
+  });
+
+  test('testMetadata explicit ID should apply to later link calls in the test', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => true;
+
+    const findCommand = name => Cypress.Commands.add.mock.calls.find(call => call[0] === name)[1];
+
+    await findCommand('testMetadata')({ id: 'TC-0042' });
+    await findCommand('requirement')('REQ-001');
+
+    const addedIds = cy.task.mock.calls
+      .filter(([name]) => name === 'rtm:addTestCase')
+      .map(([, testCase]) => testCase.id);
+    expect(addedIds).toEqual(['TC-0042', 'TC-0042']);
+  });
+
+  test('suite command should identify the describe block declaring it', async () => {
+    Cypress.spec = { relative: 'cypress/e2e/auth.cy.js' };
+    Cypress.mocha = {
+      getRunner: () => ({
+        currentRunnable: { parent: { titlePath: () => ['Auth', 'Login'] } }
+      })
+    };
+    addCommands(rtm);
+
+    const suiteCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'suite'
+    )[1];
+
+    await suiteCommand({ type: TEST_TYPES.SECURITY, requirements: ['REQ-001'] });
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:addSuite', expect.objectContaining({
+      id: 'TS-cypress/e2e/auth.cy.js > Auth > Login',
+      title: 'Login',
+      spec: 'cypress/e2e/auth.cy.js',
+      titlePath: ['Auth', 'Login'],
+      type: TEST_TYPES.SECURITY,
+      requirements: ['REQ-001']
+    }));
+  });
+
+  test('requirement command should link acceptance criteria', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => true;
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    await reqCommand('REQ-001', { criteria: [0, 'AC-3'] });
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
+      requirements: ['REQ-001'],
+      criteria: { 'REQ-001': [0, 'AC-3'] }
+    }));
+  });
+
+  test('requirement command should log unresolved requirements without failing', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => 'unresolved';
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    reqCommand('REQ-DRAFT');
+    await Promise.all(cy.task.mock.results.map(result => result.value));
+
+    expect(Cypress.log).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'rtm',
+      message: 'Unresolved requirement ID: REQ-DRAFT'
+    }));
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({ requirements: ['REQ-DRAFT'] }));
+  });
+
+  test('requirement command should warn about retired requirements', async () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => 'deprecated';
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    reqCommand('REQ-OLD');
+    await Promise.all(cy.task.mock.results.map(result => result.value));
+
+    expect(Cypress.log).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'rtm',
+      message: 'Warning: requirement REQ-OLD is deprecated'
+    }));
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({ requirements: ['REQ-OLD'] }));
+  });
+
+  test('requirement command should fail on unknown requirements in strict mode', () => {
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => false;
+    // Run task callbacks synchronously so the failure surfaces from the command
+    cy.task.mockImplementation((name, data) => ({ then: callback => callback(tasks[name]?.(data)) }));
+
+    const reqCommand = Cypress.Commands.add.mock.calls.find(
+      call => call[0] === 'requirement'
+    )[1];
+
+    expect(() => reqCommand('REQ-999')).toThrow('Invalid requirement ID: REQ-999');
+  });
+
+  test('should register links declared in titles and test config before each test', () => {
+    Cypress.spec = { relative: 'cypress/e2e/login.cy.js' };
+    Cypress.currentTest.title = '[REQ-001][US-003] logs in';
+    Cypress.currentTest.titlePath = ['Auth', '[REQ-001][US-003] logs in'];
+    addCommands(rtm);
+
+    tasks['rtm:validateRequirement'] = () => true;
+    const hook = beforeEach.mock.calls[0][0];
+    hook.call({
+      currentTest: {
+        _testConfig: { unverifiedTestConfig: { rtm: { requirements: 'REQ-002', priority: TEST_PRIORITIES.P2 } } }
+      }
+    });
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:validateRequirement', 'REQ-002');
+    expect(cy.task).toHaveBeenCalledWith('rtm:addTestCase', expect.objectContaining({
+      id: 'TC-cypress/e2e/login.cy.js > Auth > [REQ-001][US-003] logs in',
+      priority: TEST_PRIORITIES.P2,
+      requirements: ['REQ-002'],
+      userStories: [],
+      titleLinks: ['REQ-001', 'US-003'],
+      automated: true
+    }));
+  });
+
+  test('should not register tests without declared links', () => {
+    addCommands(rtm);
+
+    beforeEach.mock.calls[0][0].call({ currentTest: {} });
+
+    expect(cy.task).not.toHaveBeenCalled();
+  });
+
+  test('should skip tests not selected by the env filter', () => {
+    Cypress.env.mockReturnValue({ rtmRequirements: 'REQ-007' });
+    Cypress.spec = { relative: 'cypress/e2e/login.cy.js', absolute: '/project/cypress/e2e/login.cy.js' };
+    addCommands(rtm);
+
+    tasks['rtm:matchesFilter'] = () => false;
+    cy.task.mockImplementation((name, data) => ({ then: callback => callback(tasks[name]?.(data)) }));
+    const context = { currentTest: {}, skip: jest.fn() };
+    beforeEach.mock.calls[0][0].call(context);
+
+    expect(cy.task).toHaveBeenCalledWith('rtm:matchesFilter', {
+      filter: { requirements: ['REQ-007'] },
+      test: expect.objectContaining({
+        spec: 'cypress/e2e/login.cy.js',
+        absolute: '/project/cypress/e2e/login.cy.js',
+        titleLinks: []
+      })
+    }, { log: false });
+    expect(context.skip).toHaveBeenCalled();
+  });
+});
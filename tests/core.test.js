@@ -111,4 +111,237 @@ describe('CypressRTM Core', () => {
     rtm.addTestCase(testCase);
     expect(rtm.testCases.has('TC-001')).toBe(true);
   });
-});
\ No newline at end of file
+
+  test('should record test result for registered test case', () => {
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1
+    });
+
+    expect(rtm.recordTestResult('TC-001', { status: 'failed', duration: 42, attempts: 2, error: 'boom' })).toBe(true);
+    expect(rtm.testCases.get('TC-001')).toMatchObject({
+      status: 'failed',
+      duration: 42,
+      attempts: 2,
+      error: 'boom'
+    });
+  });
+
+  test('should ignore results for unregistered test cases', () => {
+    expect(rtm.recordTestResult('TC-UNKNOWN', { status: 'passed' })).toBe(false);
+    expect(rtm.testCases.has('TC-UNKNOWN')).toBe(false);
+  });
+
+  test('should reject unknown test status', () => {
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1
+    });
+
+    expect(() => rtm.recordTestResult('TC-001', { status: 'pending' })).toThrow('Invalid test status');
+  });
+
+  test('should merge links into an existing test case', () => {
+    rtm.requirements.set('REQ-002', {
+      id: 'REQ-002',
+      title: 'Second Requirement',
+      type: REQUIREMENT_TYPES.SECURITY,
+      priority: REQUIREMENT_PRIORITIES.P0
+    });
+    rtm.userStories.set('US-001', { id: 'US-001', title: 'Login' });
+
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.SECURITY,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001'],
+      tags: ['auth']
+    });
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: undefined,
+      requirements: ['REQ-002', 'REQ-001'],
+      userStories: ['US-001'],
+      tags: ['security']
+    });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({
+      type: TEST_TYPES.SECURITY,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001', 'REQ-002'],
+      userStories: ['US-001'],
+      tags: ['auth', 'security']
+    });
+  });
+
+  test('should re-key a test case when an explicit ID is given later', () => {
+    const titlePath = ['Checkout', 'should pay'];
+    rtm.addTestCase({
+      id: 'TC-cypress/e2e/checkout.cy.js > Checkout > should pay',
+      title: 'should pay',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      spec: 'cypress/e2e/checkout.cy.js',
+      titlePath,
+      requirements: ['REQ-001']
+    });
+    rtm.addTestCase({
+      id: 'TC-0042',
+      title: 'should pay',
+      spec: 'cypress/e2e/checkout.cy.js',
+      titlePath,
+      tags: ['payments']
+    });
+
+    expect(rtm.testCases.size).toBe(1);
+    expect(rtm.testCases.get('TC-0042')).toMatchObject({
+      requirements: ['REQ-001'],
+      tags: ['payments']
+    });
+  });
+
+  test('should resolve acceptance criteria links by index and ID', () => {
+    rtm.requirements.get('REQ-001').acceptanceCriteria = ['Valid login', { id: 'AC-LOCK', text: 'Lockout after 3 failures' }];
+    rtm.userStories.set('US-001', { id: 'US-001', title: 'Login', acceptanceCriteria: ['Remember me'] });
+
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      criteria: { 'REQ-001': [0] }
+    });
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      criteria: { 'REQ-001': ['AC-LOCK'], 'US-001': [0] }
+    });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({
+      requirements: ['REQ-001'],
+      userStories: ['US-001'],
+      criteria: { 'REQ-001': ['AC-1', 'AC-LOCK'], 'US-001': ['AC-1'] }
+    });
+  });
+
+  test('should reject unknown acceptance criteria', () => {
+    rtm.requirements.get('REQ-001').acceptanceCriteria = ['Valid login'];
+
+    expect(() => rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      criteria: { 'REQ-001': [3] }
+    })).toThrow('Unknown acceptance criterion 3 of REQ-001');
+  });
+
+  test('should classify requirement coverage by type rules', () => {
+    rtm.requirements.get('REQ-001').type = REQUIREMENT_TYPES.SECURITY;
+    rtm.config.typeRules = { [REQUIREMENT_TYPES.SECURITY]: [TEST_TYPES.SECURITY] };
+    expect(rtm.getRequirementCoverage('REQ-001').status).toBe('uncovered');
+
+    rtm.addTestCase({ id: 'TC-001', title: 'Smoke', type: TEST_TYPES.E2E, priority: TEST_PRIORITIES.P1, requirements: ['REQ-001'] });
+    expect(rtm.getRequirementCoverage('REQ-001')).toEqual({
+      status: 'partial',
+      requiredTestTypes: [TEST_TYPES.SECURITY],
+      tests: ['TC-001'],
+      conformingTests: []
+    });
+
+    rtm.addTestCase({ id: 'TC-002', title: 'Pen test', type: TEST_TYPES.SECURITY, priority: TEST_PRIORITIES.P1, requirements: ['REQ-001'] });
+    expect(rtm.isRequirementCovered('REQ-001')).toBe(true);
+  });
+
+  test('should reject type rules with unknown types', () => {
+    rtm.config.typeRules = { [REQUIREMENT_TYPES.SECURITY]: ['pentest'] };
+
+    expect(() => rtm.validateTypeRules()).toThrow('Type rule for security references unknown test type(s) pentest');
+  });
+
+  test('should record links to unknown IDs as unresolved in warn mode', () => {
+    rtm.config.validateLinks = 'warn';
+
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001', 'REQ-DRAFT'],
+      userStories: ['US-DRAFT']
+    });
+    rtm.addTestCase({ id: 'TC-001', title: 'Test Case', requirements: ['REQ-LATER'] });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({
+      requirements: ['REQ-001'],
+      userStories: [],
+      unresolvedLinks: { requirements: ['REQ-DRAFT', 'REQ-LATER'], userStories: ['US-DRAFT'] }
+    });
+  });
+
+  test('should accept links to unknown IDs when link validation is off', () => {
+    rtm.config.validateLinks = false;
+
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-DRAFT'],
+      userStories: ['US-DRAFT']
+    });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({ requirements: ['REQ-DRAFT'], userStories: ['US-DRAFT'] });
+  });
+
+  test('should reject links to unknown user stories in strict mode', () => {
+    rtm.config.validateLinks = 'strict';
+
+    expect(() => rtm.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      userStories: ['US-DRAFT']
+    })).toThrow('testCase.userStories[0] references unknown US-DRAFT');
+  });
+
+  test('should link known IDs found in test titles', () => {
+    rtm.userStories.set('US-003', { id: 'US-003', title: 'Login' });
+
+    rtm.addTestCase({
+      id: 'TC-001',
+      title: '[REQ-001][US-003][WIP] logs in',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      titleLinks: ['REQ-001', 'US-003', 'WIP']
+    });
+
+    const testCase = rtm.testCases.get('TC-001');
+    expect(testCase).toMatchObject({ requirements: ['REQ-001'], userStories: ['US-003'] });
+    expect(testCase).not.toHaveProperty('titleLinks');
+  });
+
+  test('should reject unknown link validation modes', () => {
+    rtm.config.validateLinks = 'lenient';
+
+    expect(() => rtm.validateLinkValidationMode()).toThrow('Invalid validateLinks lenient, expected one of strict, warn, off');
+  });
+
+  test('should only count approved, implemented and unset requirement states in scope', () => {
+    ['draft', 'approved', 'implemented', 'deprecated', 'rejected'].forEach(status => {
+      rtm.requirements.set(`REQ-${status}`, { ...rtm.requirements.get('REQ-001'), id: `REQ-${status}`, status });
+    });
+
+    expect(rtm.getRequirementsInScope().map(req => req.id)).toEqual(['REQ-001', 'REQ-approved', 'REQ-implemented']);
+    expect(rtm.isRequirementRetired('REQ-deprecated')).toBe(true);
+    expect(rtm.isRequirementRetired('REQ-draft')).toBe(false);
+    expect(rtm.validateRequirement({ ...rtm.requirements.get('REQ-001'), status: 'obsolete' })).toBe(false);
+  });
+});
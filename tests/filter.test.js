@@ -0,0 +1,67 @@
+// tests/filter.test.js
+const RTMFilter = require('../src/filter');
+const { CypressRTM } = require('../src/core');
+const { parseFilter } = require('../src/utils');
+const { REQUIREMENT_LEVELS } = require('../src/constants');
+const path = require('path');
+
+describe('RTMFilter', () => {
+  const absolute = path.join(__dirname, 'fixtures/specs/login.cy.js');
+  const spec = 'cypress/e2e/login.cy.js';
+  const accepts = { spec, absolute, titlePath: ['Login', 'accepts valid credentials'] };
+  const rejects = { spec, absolute, titlePath: ['Login', 'rejects invalid credentials'] };
+  let rtm;
+  let filter;
+
+  beforeEach(async () => {
+    rtm = new CypressRTM({
+      userStoriesPath: path.join(__dirname, 'fixtures/user-stories.json'),
+      requirementsPath: path.join(__dirname, 'fixtures/requirements.json')
+    });
+    await rtm.loadRequirements();
+    await rtm.loadUserStories();
+    filter = new RTMFilter(rtm);
+  });
+
+  test('should read the filter from Cypress env', () => {
+    expect(parseFilter({ rtmRequirements: 'REQ-001| REQ-007', rtmPriority: 'p1-must-run', rtmTags: ['security'] })).toEqual({
+      requirements: ['REQ-001', 'REQ-007'],
+      priorities: ['p1-must-run'],
+      tags: ['security']
+    });
+    expect(parseFilter({ rtmStory: '' })).toBeUndefined();
+  });
+
+  test('should match link commands found in the spec', async () => {
+    expect(await filter.matches({ requirements: ['REQ-001'] }, accepts)).toBe(true);
+    expect(await filter.matches({ requirements: ['REQ-001'] }, rejects)).toBe(false);
+    expect(await filter.matches({ userStories: ['US-001'] }, rejects)).toBe(true);
+  });
+
+  test('should match tags and priorities with defaults applied', async () => {
+    expect(await filter.matches({ tags: ['negative'] }, rejects)).toBe(true);
+    expect(await filter.matches({ priorities: ['p1-must-run'] }, accepts)).toBe(true);
+    expect(await filter.matches({ priorities: ['p1-must-run'] }, rejects)).toBe(false);
+    expect(await filter.matches({ tags: ['negative'], priorities: ['p1-must-run'] }, rejects)).toBe(false);
+  });
+
+  test('should match suite metadata and descendants of filtered requirements', async () => {
+    rtm.requirements.set('EPIC-1', { id: 'EPIC-1', title: 'Accounts', level: REQUIREMENT_LEVELS.EPIC });
+    rtm.requirements.get('REQ-001').parent = 'EPIC-1';
+    rtm.suites.set(`TS-${spec} > Login`, { id: `TS-${spec} > Login`, spec, titlePath: ['Login'], tags: ['auth'] });
+
+    expect(await filter.matches({ requirements: ['EPIC-1'] }, accepts)).toBe(true);
+    expect(await filter.matches({ tags: ['auth'] }, rejects)).toBe(true);
+  });
+
+  test('should fall back to declared links when the spec cannot be read', async () => {
+    const test = {
+      spec: 'cypress/e2e/missing.cy.js',
+      titlePath: ['[REQ-001] logs in'],
+      titleLinks: ['REQ-001'],
+      metadata: { tags: ['smoke'] }
+    };
+
+    expect(await filter.matches({ requirements: ['REQ-001'], tags: ['smoke'] }, test)).toBe(true);
+  });
+});
@@ -0,0 +1,24 @@
+# Checkout flows
+@US-012 @REQ-001 @payments
+Feature: Guest checkout
+  As a guest I want to pay without an account
+  so that I can buy quickly
+
+  Background:
+    Given the cart contains an item
+
+  @REQ-002
+  Scenario: Pay by card
+    When I pay with a valid card
+    Then the order is confirmed
+
+  Scenario Outline: Reject invalid card
+    When I pay with card "<number>"
+    Then I see the error
+      """
+      Scenario: not a real scenario
+      """
+
+    Examples:
+      | number |
+      | 0000   |
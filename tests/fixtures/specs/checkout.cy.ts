@@ -0,0 +1,20 @@
+interface Card {
+  number: string;
+}
+
+const card: Card = { number: '4242' };
+
+context('Checkout', () => {
+  it.only('pays by card', () => {
+    cy.visit('/checkout').requirement(['REQ-001'] as string[]);
+    cy.get('input').type(card.number);
+  });
+
+  it(`rejects ${card.number}`, () => {
+    cy.requirement('REQ-001');
+  });
+
+  it('retries payment', () => {
+    cy.requirement(card.number);
+  });
+});
@@ -0,0 +1,17 @@
+describe('Login', () => {
+  before(() => {
+    cy.suite({ requirements: ['REQ-001'], tags: ['auth'] });
+  });
+
+  beforeEach(() => {
+    cy.userStory('US-001', { criteria: [0] });
+  });
+
+  it('accepts valid credentials', () => {
+    cy.requirement('REQ-001', { type: 'smoke' });
+  });
+
+  it('rejects invalid credentials', () => {
+    cy.testMetadata({ id: 'TC-LOGIN-2', priority: 'p2-high-value', tags: ['negative'] });
+  });
+});
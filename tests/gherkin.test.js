@@ -0,0 +1,67 @@
+// tests/gherkin.test.js
+const { parseFeature, loadFeature } = require('../src/gherkin');
+const { CypressRTM } = require('../src/core');
+const path = require('path');
+const fs = require('fs');
+
+describe('Gherkin user stories', () => {
+  const featurePath = path.join(__dirname, 'fixtures/sources/features/checkout.feature');
+  const content = fs.readFileSync(featurePath, 'utf8');
+
+  test('should parse feature, description and scenarios', () => {
+    const feature = parseFeature(content);
+
+    expect(feature).toEqual({
+      name: 'Guest checkout',
+      tags: ['US-012', 'REQ-001', 'payments'],
+      description: ['As a guest I want to pay without an account', 'so that I can buy quickly'],
+      scenarios: [
+        { name: 'Pay by card', tags: ['REQ-002'] },
+        { name: 'Reject invalid card', tags: [] }
+      ]
+    });
+  });
+
+  test('should build a user story record from a feature', () => {
+    const [story] = loadFeature(content, { file: featurePath });
+
+    expect(story).toEqual({
+      id: 'US-012',
+      title: 'Guest checkout',
+      description: 'As a guest I want to pay without an account\nso that I can buy quickly',
+      acceptanceCriteria: ['Pay by card', 'Reject invalid card'],
+      linkedRequirements: ['REQ-001', 'REQ-002'],
+      tags: ['payments'],
+      scenarios: [
+        { name: 'Pay by card', tags: ['REQ-002'], requirements: ['REQ-002'] },
+        { name: 'Reject invalid card', tags: [], requirements: [] }
+      ],
+      file: featurePath
+    });
+  });
+
+  test('should use configured tag patterns and fall back to the file name', () => {
+    const [story] = loadFeature('@STORY-7 @R-1\nFeature: Search\n  Scenario: Find by name\n', {
+      file: 'features/search.feature',
+      gherkin: { storyTagPattern: '^NOPE-', requirementTagPattern: '^R-' }
+    });
+
+    expect(story).toMatchObject({
+      id: 'search',
+      linkedRequirements: ['R-1'],
+      tags: ['STORY-7']
+    });
+  });
+
+  test('should reject files without a Feature', () => {
+    expect(() => loadFeature('# nothing here')).toThrow('No Feature found');
+  });
+
+  test('should load feature files as user stories through CypressRTM', async () => {
+    const rtm = new CypressRTM({ userStoriesPath: path.join(__dirname, 'fixtures/sources/features/*.feature') });
+
+    await rtm.loadUserStories();
+
+    expect(Array.from(rtm.userStories.keys())).toEqual(['US-012']);
+  });
+});
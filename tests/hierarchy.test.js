@@ -0,0 +1,141 @@
+// tests/hierarchy.test.js
+const RTMHierarchy = require('../src/hierarchy');
+const RTMReportGenerator = require('../src/reports');
+const RTMHistory = require('../src/history');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES,
+  REQUIREMENT_LEVELS
+} = require('../src/constants');
+
+describe('RTMHierarchy', () => {
+  let rtm;
+  let hierarchy;
+
+  const requirement = (id, extra = {}) => [id, {
+    id,
+    title: `Title of ${id}`,
+    type: REQUIREMENT_TYPES.FUNCTIONAL,
+    priority: REQUIREMENT_PRIORITIES.P1,
+    ...extra
+  }];
+
+  const testCase = (id, links, status) => [id, {
+    id,
+    title: `Title of ${id}`,
+    type: TEST_TYPES.E2E,
+    priority: TEST_PRIORITIES.P1,
+    ...links,
+    status
+  }];
+
+  beforeEach(() => {
+    rtm = new CypressRTM();
+
+    rtm.requirements = new Map([
+      requirement('EPIC-1', { level: REQUIREMENT_LEVELS.EPIC }),
+      requirement('FEAT-1', { level: REQUIREMENT_LEVELS.FEATURE, parent: 'EPIC-1' }),
+      requirement('FEAT-2', { level: REQUIREMENT_LEVELS.FEATURE, parent: 'EPIC-1' }),
+      requirement('REQ-001', { parent: 'FEAT-1' }),
+      requirement('REQ-002', { parent: 'FEAT-1' }),
+      requirement('REQ-003', { parent: 'FEAT-2' }),
+      requirement('REQ-100')
+    ]);
+
+    rtm.userStories = new Map([
+      ['US-001', { id: 'US-001', title: 'Login', parent: 'REQ-001' }],
+      ['US-002', { id: 'US-002', title: 'Logout', parent: 'REQ-003' }]
+    ]);
+
+    rtm.testCases = new Map([
+      testCase('TC-001', { requirements: ['REQ-001'] }, 'passed'),
+      testCase('TC-002', { requirements: ['REQ-002'] }, 'failed'),
+      testCase('TC-003', { userStories: ['US-002'] }, 'passed'),
+      testCase('TC-100', { requirements: ['REQ-100'] }, 'passed')
+    ]);
+
+    hierarchy = new RTMHierarchy(rtm);
+  });
+
+  test('should accept a consistent hierarchy', () => {
+    expect(hierarchy.validate()).toEqual([]);
+  });
+
+  test('should report dangling references', () => {
+    rtm.requirements.get('REQ-001').parent = 'FEAT-404';
+    rtm.requirements.get('REQ-002').userStory = 'US-404';
+    rtm.requirements.get('REQ-003').relatedRequirements = ['REQ-100', 'REQ-404'];
+    rtm.userStories.get('US-001').parent = 'REQ-404';
+
+    expect(hierarchy.validate()).toEqual([
+      'REQ-001 references unknown parent FEAT-404',
+      'REQ-002 references unknown user story US-404',
+      'REQ-003 references unknown related requirement REQ-404',
+      'US-001 references unknown parent REQ-404'
+    ]);
+  });
+
+  test('should reject parents below their children and circular chains', () => {
+    rtm.requirements.get('EPIC-1').parent = 'REQ-003';
+
+    expect(hierarchy.validate()).toEqual([
+      'EPIC-1 (epic) cannot be a child of REQ-003 (requirement)',
+      'Circular parent chain EPIC-1 -> REQ-003 -> FEAT-2 -> EPIC-1'
+    ]);
+  });
+
+  test('should roll up coverage and execution to features and epics', () => {
+    expect(hierarchy.getRollup('FEAT-1')).toEqual({
+      requirements: { total: 2, covered: 2, percentage: 100 },
+      userStories: { total: 1, covered: 0, percentage: 0 },
+      tests: { total: 2, passed: 1, failed: 1, skipped: 0, passRate: 50 },
+      status: 'failed'
+    });
+
+    expect(hierarchy.getRollup('EPIC-1')).toMatchObject({
+      requirements: { total: 3, covered: 2 },
+      userStories: { total: 2, covered: 1, percentage: 50 },
+      tests: { total: 3, passed: 2, failed: 1 }
+    });
+  });
+
+  test('should score a fully covered tree like its rollup in flat coverage, gates and risk', () => {
+    rtm = new CypressRTM({ qualityGates: { minCoverage: 80 } });
+    rtm.requirements = new Map([
+      requirement('EP-1', { level: REQUIREMENT_LEVELS.EPIC }),
+      requirement('FT-1', { level: REQUIREMENT_LEVELS.FEATURE, parent: 'EP-1' }),
+      requirement('REQ-1', { parent: 'FT-1' })
+    ]);
+    rtm.testCases = new Map([testCase('TC-1', { requirements: ['REQ-1'] }, 'passed')]);
+
+    const report = new RTMReportGenerator(rtm).collectReportData();
+
+    expect(new RTMHierarchy(rtm).getRollup('EP-1').requirements.percentage).toBe(100);
+    expect(report.coverage.requirements).toMatchObject({ total: 1, covered: 1, percentage: 100 });
+    expect(report.risk.weightedCoverage).toBe(100);
+    expect(report.uncovered.requirements).toEqual([]);
+    expect(report.matrix.map(row => row.requirementId)).toEqual(['REQ-1']);
+    expect(new RTMHistory(rtm).calculateMetrics()).toMatchObject({ totalRequirements: 1, coveragePercentage: 100 });
+    expect(rtm.evaluateQualityGates().passed).toBe(true);
+  });
+
+  test('should build the tree from epics down', () => {
+    const tree = hierarchy.getTree();
+
+    expect(tree.map(node => node.id)).toEqual(['EPIC-1']);
+    expect(tree[0].children.map(node => node.id)).toEqual(['FEAT-1', 'FEAT-2']);
+    expect(tree[0].children[0].children).toEqual([
+      expect.objectContaining({ id: 'REQ-001', level: 'requirement', userStories: ['US-001'], children: [] }),
+      expect.objectContaining({ id: 'REQ-002', userStories: [] })
+    ]);
+  });
+
+  test('should fail initialization on an inconsistent hierarchy', () => {
+    rtm.requirements.get('REQ-001').parent = 'FEAT-404';
+
+    expect(() => rtm.validateHierarchy()).toThrow('REQ-001 references unknown parent FEAT-404');
+  });
+});
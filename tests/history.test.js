@@ -0,0 +1,156 @@
+// tests/history.test.js
+const RTMHistory = require('../src/history');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES
+} = require('../src/constants');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('RTMHistory', () => {
+  let rtm;
+  let history;
+  const outputPath = path.join(__dirname, 'output-history');
+
+  beforeEach(async () => {
+    rtm = new CypressRTM({ outputPath, historySize: 3 });
+
+    rtm.requirements = new Map([
+      ['REQ-001', {
+        id: 'REQ-001',
+        title: 'Login Functionality',
+        type: REQUIREMENT_TYPES.FUNCTIONAL,
+        priority: REQUIREMENT_PRIORITIES.P0
+      }],
+      ['REQ-002', {
+        id: 'REQ-002',
+        title: 'Password Security',
+        type: REQUIREMENT_TYPES.SECURITY,
+        priority: REQUIREMENT_PRIORITIES.P1
+      }]
+    ]);
+
+    rtm.testCases = new Map([
+      ['TC-001', {
+        id: 'TC-001',
+        title: 'Successful Login',
+        type: TEST_TYPES.E2E,
+        priority: TEST_PRIORITIES.P1,
+        requirements: ['REQ-001'],
+        status: 'passed'
+      }]
+    ]);
+
+    history = new RTMHistory(rtm);
+    jest.spyOn(history, 'getGitInfo').mockResolvedValue({ commit: 'abc1234def', branch: 'main' });
+
+    await fs.mkdir(outputPath, { recursive: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(outputPath, { recursive: true, force: true });
+  });
+
+  test('should store each run as its own record with metadata', async () => {
+    const run = await history.recordRun({
+      browserName: 'chrome',
+      browserVersion: '120.0',
+      cypressVersion: '13.6.0'
+    });
+
+    expect(run).toMatchObject({
+      git: { commit: 'abc1234def', branch: 'main' },
+      browser: { name: 'chrome', version: '120.0' },
+      cypressVersion: '13.6.0',
+      requirements: { 'REQ-001': 'passed', 'REQ-002': 'uncovered' },
+      metrics: {
+        totalTestCases: 1,
+        passedTestCases: 1,
+        totalRequirements: 2,
+        coveredRequirements: 1,
+        coveragePercentage: 50,
+        weightedCoveragePercentage: (4 / 7) * 100,
+        byPriority: {
+          'p0-critical': { total: 1, covered: 1, passRate: 100 },
+          'p1-high': { total: 1, covered: 0, tests: 0 }
+        }
+      }
+    });
+
+    const stored = JSON.parse(await fs.readFile(path.join(outputPath, 'history', `${run.runId}.json`), 'utf8'));
+    expect(stored.testCases).toHaveLength(1);
+
+    const index = await history.loadIndex();
+    expect(index.runs).toEqual([expect.objectContaining({ runId: run.runId, metrics: run.metrics })]);
+  });
+
+  test('should keep only the configured number of runs', async () => {
+    const first = await history.recordRun();
+    for (let i = 0; i < 3; i++) {
+      await history.recordRun();
+    }
+
+    const index = await history.loadIndex();
+    expect(index.runs).toHaveLength(3);
+    expect(index.runs.map(run => run.runId)).not.toContain(first.runId);
+
+    const files = await fs.readdir(path.join(outputPath, 'history'));
+    expect(files).toHaveLength(4); // three runs plus the index
+  });
+
+  test('should update statuses from later runs instead of keeping stale ones', async () => {
+    await history.recordRun();
+    rtm.testCases.get('TC-001').status = 'failed';
+    await history.recordRun();
+
+    const runs = await history.loadRuns();
+    expect(runs.map(run => run.requirements['REQ-001'])).toEqual(['passed', 'failed']);
+  });
+
+  test('should calculate requirement trends and detect regressions', async () => {
+    await history.recordRun();
+    rtm.testCases.get('TC-001').status = 'failed';
+    const regressed = await history.recordRun();
+    rtm.testCases.get('TC-001').status = 'passed';
+    await history.recordRun();
+
+    const trends = history.calculateRequirementTrends(await history.loadRuns());
+
+    expect(trends['REQ-001'].history.map(entry => entry.status)).toEqual(['passed', 'failed', 'passed']);
+    expect(trends['REQ-001']).toMatchObject({
+      passed: 2,
+      failed: 1,
+      lastRegression: { runId: regressed.runId }
+    });
+    expect(trends['REQ-002']).toMatchObject({ passed: 0, failed: 0, lastRegression: null });
+  });
+
+  test('should leave filtered runs out of the history', async () => {
+    jest.spyOn(RTMHistory.prototype, 'getGitInfo').mockResolvedValue(undefined);
+
+    await rtm.updateCoverage();
+    rtm.filter = { requirements: ['REQ-001'] };
+    const coverage = await rtm.updateCoverage();
+
+    expect(coverage.run.filter).toEqual({ requirements: ['REQ-001'] });
+    expect((await history.loadRuns()).map(run => run.filter)).toEqual([undefined]);
+    expect(coverage.trends['REQ-001'].history).toHaveLength(1);
+  });
+
+  test('should write coverage.json for the current run only', async () => {
+    jest.spyOn(RTMHistory.prototype, 'getGitInfo').mockResolvedValue(undefined);
+
+    await rtm.updateCoverage();
+    rtm.testCases.delete('TC-001');
+    const coverage = await rtm.updateCoverage();
+
+    const stored = JSON.parse(await fs.readFile(path.join(outputPath, 'coverage.json'), 'utf8'));
+    expect(stored).toEqual(coverage);
+    expect(stored.run.metrics.totalTestCases).toBe(0);
+    expect(stored.trends['REQ-001'].history.map(entry => entry.status)).toEqual(['passed', 'uncovered']);
+  });
+});
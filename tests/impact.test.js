@@ -0,0 +1,102 @@
+// tests/impact.test.js
+const RTMImpact = require('../src/impact');
+const RTMHistory = require('../src/history');
+const { CypressRTM } = require('../src/core');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('RTMImpact', () => {
+  const outputPath = path.join(__dirname, 'output-impact');
+  const login = 'tests/fixtures/specs/login.cy.js';
+  const checkout = 'tests/fixtures/specs/checkout.cy.ts';
+  let rtm;
+  let impact;
+
+  const writeReport = testCases => fs.writeFile(
+    path.join(outputPath, 'rtm-report.json'),
+    JSON.stringify({ execution: { testCases } })
+  );
+
+  beforeEach(async () => {
+    rtm = new CypressRTM({
+      requirementsPath: path.join(__dirname, 'fixtures/requirements.json'),
+      outputPath
+    });
+    await fs.mkdir(outputPath, { recursive: true });
+    await rtm.loadRequirements();
+    rtm.requirements.set('REQ-002', { id: 'REQ-002', title: 'Session timeout', parent: 'REQ-001' });
+    rtm.requirements.set('REQ-003', { id: 'REQ-003', title: 'Checkout' });
+    impact = new RTMImpact(rtm);
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputPath, { recursive: true, force: true });
+  });
+
+  test('should read the source map beside the requirements', () => {
+    expect(impact.getSourceMapPath()).toBe(path.join(__dirname, 'fixtures/source-map.json'));
+
+    rtm.config.requirementsPath = 'docs/requirements/**/*.yaml';
+    expect(impact.getSourceMapPath()).toBe(path.join('docs/requirements', 'source-map.json'));
+  });
+
+  test('should map changed specs and source files to requirements and specs', async () => {
+    await writeReport([
+      { id: 'TC-A', spec: login, requirements: ['REQ-002'] },
+      { id: 'TC-B', spec: checkout, requirements: ['REQ-003'] },
+      { id: 'TC-C', spec: 'cypress/e2e/deleted.cy.js', requirements: ['REQ-001'] },
+      { id: 'TC-D', spec: 'cypress/e2e/search.cy.js', requirements: [] }
+    ]);
+
+    const result = await impact.analyze(['src/auth/session.js', checkout, 'README.md']);
+
+    expect(result).toEqual({
+      changedFiles: ['src/auth/session.js', checkout, 'README.md'],
+      unmappedFiles: ['README.md'],
+      requirements: ['REQ-001', 'REQ-002', 'REQ-003'],
+      testCases: ['TC-A', 'TC-B', 'TC-C'],
+      specs: [checkout, login]
+    });
+  });
+
+  test('should only list specs of Cypress tests', async () => {
+    const jestFile = 'tests/importers.test.js';
+    await writeReport([
+      { id: 'TC-A', spec: login, requirements: ['REQ-001'] },
+      { id: 'TC-API', spec: jestFile, requirements: ['REQ-001'], origin: 'imported' },
+      { id: 'MT-001', spec: jestFile, requirements: ['REQ-003'], origin: 'manual' }
+    ]);
+
+    const result = await impact.analyze(['src/auth/session.js', jestFile]);
+
+    expect(result).toMatchObject({
+      requirements: ['REQ-001', 'REQ-002', 'REQ-003'],
+      testCases: ['TC-A', 'TC-API', 'MT-001'],
+      specs: [login]
+    });
+  });
+
+  test('should prefer the latest recorded run', async () => {
+    await writeReport([{ id: 'TC-OLD', spec: login, requirements: ['REQ-001'] }]);
+    rtm.testCases.set('TC-NEW', { id: 'TC-NEW', title: 'New', spec: login, requirements: ['REQ-003'] });
+    await new RTMHistory(rtm).recordRun();
+
+    expect((await impact.analyze([login])).requirements).toEqual(['REQ-003']);
+  });
+
+  test('should reject source maps with unknown requirements', async () => {
+    rtm.config.sourceMapPath = path.join(outputPath, 'source-map.json');
+    await fs.writeFile(rtm.config.sourceMapPath, JSON.stringify({ 'src/**': 'REQ-404' }));
+    await writeReport([]);
+
+    await expect(impact.analyze([])).rejects.toThrow('references unknown requirement(s) REQ-404');
+  });
+
+  test('should require recorded test cases', async () => {
+    await expect(impact.analyze([])).rejects.toThrow('No recorded test cases found');
+  });
+
+  test('should fail on unknown revisions', async () => {
+    await expect(impact.getChangedFiles('no-such-revision')).rejects.toThrow('Failed to list changes in no-such-revision');
+  });
+});
@@ -0,0 +1,131 @@
+// tests/importers.test.js
+const { parseJUnit, parseMochaJSON, parseResults } = require('../src/importers');
+const { CypressRTM } = require('../src/core');
+const path = require('path');
+const fs = require('fs');
+
+describe('RTM Importers', () => {
+  const results = path.join(__dirname, 'fixtures/results');
+  const read = file => fs.readFileSync(path.join(results, file), 'utf8');
+
+  test('should parse JUnit XML with statuses, durations, failures and properties', () => {
+    const parsed = parseJUnit(read('junit.xml'));
+
+    expect(parsed).toHaveLength(4);
+    expect(parsed[0]).toEqual({
+      title: '[REQ-001] issues a token',
+      titlePath: ['Auth API', '[REQ-001] issues a token'],
+      spec: 'tests/api/auth.test.js',
+      status: 'passed',
+      duration: 42,
+      error: undefined,
+      links: { tags: ['api'] }
+    });
+    expect(parsed[1]).toMatchObject({
+      status: 'failed',
+      error: 'expected 401, got 200',
+      links: { tags: ['api'], requirements: ['REQ-001'], type: 'security', id: 'TC-API-7' }
+    });
+    expect(parsed[2]).toMatchObject({ status: 'skipped', duration: 0 });
+    expect(parsed[3]).toMatchObject({ titlePath: ['Utils', 'formats dates'], spec: 'tests/unit/utils.test.js', links: {} });
+  });
+
+  test('should parse Mocha JSON reports', () => {
+    expect(parseMochaJSON(read('mocha.json')).map(({ titlePath, status, error }) => ({ titlePath, status, error }))).toEqual([
+      { titlePath: ['Password service', '[US-001] hashes passwords'], status: 'passed', error: undefined },
+      { titlePath: ['Password service', '[REQ-001] rejects weak passwords'], status: 'failed', error: 'expected true to be false' },
+      { titlePath: ['Password service', '[REQ-001] expires passwords'], status: 'skipped', error: undefined }
+    ]);
+  });
+
+  test('should parse nested mochawesome suites', () => {
+    expect(parseMochaJSON(read('mochawesome.json'))).toEqual([
+      {
+        title: 'starts a session',
+        titlePath: ['Session', 'starts a session'],
+        spec: 'test/session.spec.js',
+        status: 'passed',
+        duration: 8,
+        error: undefined,
+        links: {}
+      },
+      {
+        title: 'ends idle sessions',
+        titlePath: ['Session', '[REQ-001] timeout', 'ends idle sessions'],
+        spec: 'test/session.spec.js',
+        status: 'failed',
+        duration: 30,
+        error: 'session still active',
+        links: {}
+      }
+    ]);
+  });
+
+  test('should reject unsupported result files', () => {
+    expect(() => parseResults('', 'results.txt')).toThrow('Unsupported result file results.txt');
+    expect(() => parseResults('<html></html>', 'results.xml')).toThrow('No <testsuites> or <testsuite> root element');
+    expect(() => parseResults('{}', 'results.json')).toThrow('Expected a Mocha JSON report');
+  });
+
+  describe('CypressRTM.importResults', () => {
+    let rtm;
+
+    beforeEach(async () => {
+      rtm = new CypressRTM({
+        requirementsPath: path.join(__dirname, 'fixtures/requirements.json'),
+        userStoriesPath: path.join(__dirname, 'fixtures/user-stories.json')
+      });
+      await rtm.loadRequirements();
+      await rtm.loadUserStories();
+    });
+
+    test('should merge linked results into the test cases', async () => {
+      const result = await rtm.importResults(path.join(results, '*.{xml,json}'), { type: 'unit' });
+
+      expect(result).toMatchObject({ unlinked: 2, errors: [] });
+      expect(result.files).toHaveLength(3);
+      expect(result.testCases).toEqual([
+        'TC-tests/api/auth.test.js > Auth API > [REQ-001] issues a token',
+        'TC-API-7',
+        'TC-tests/api/auth.test.js > Auth API > [REQ-001] refreshes tokens',
+        'TC-test/password.spec.js > Password service > [US-001] hashes passwords',
+        'TC-test/password.spec.js > Password service > [REQ-001] rejects weak passwords',
+        'TC-test/password.spec.js > Password service > [REQ-001] expires passwords',
+        'TC-test/session.spec.js > Session > [REQ-001] timeout > ends idle sessions'
+      ]);
+
+      expect(rtm.testCases.get('TC-API-7')).toMatchObject({
+        title: 'rejects expired tokens',
+        type: 'security',
+        requirements: ['REQ-001'],
+        tags: ['api'],
+        status: 'failed',
+        duration: 13,
+        error: 'expected 401, got 200',
+        automated: true,
+        origin: 'imported'
+      });
+      expect(rtm.testCases.get('TC-test/password.spec.js > Password service > [US-001] hashes passwords')).toMatchObject({
+        type: 'unit',
+        userStories: ['US-001'],
+        status: 'passed'
+      });
+      expect(rtm.isRequirementCovered('REQ-001')).toBe(true);
+    });
+
+    test('should report links rejected by link validation', async () => {
+      rtm.requirements.clear();
+
+      const result = await rtm.importResults(path.join(results, 'junit.xml'));
+
+      expect(result.testCases).toEqual([]);
+      expect(result.errors).toEqual([
+        expect.stringContaining('junit.xml: Auth API > rejects expired tokens: Invalid test case structure for TC-API-7')
+      ]);
+    });
+
+    test('should fail when no result file matches', async () => {
+      await expect(rtm.importResults(path.join(results, 'missing.xml'))).rejects.toThrow('No result files found matching');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// tests/loaders.test.js
+const { loadRecords, loadCSV, loadMarkdown } = require('../src/loaders');
+const { CypressRTM } = require('../src/core');
+const path = require('path');
+
+describe('RTM Loaders', () => {
+  const sources = path.join(__dirname, 'fixtures/sources');
+
+  test('should load JSON objects keyed by ID', async () => {
+    const records = await loadRecords(path.join(__dirname, 'fixtures/requirements.json'));
+
+    expect(records).toEqual([
+      expect.objectContaining({ record: expect.objectContaining({ id: 'REQ-001', title: 'Test Requirement' }) })
+    ]);
+  });
+
+  test('should load YAML files', async () => {
+    const records = await loadRecords(path.join(sources, 'requirements.yaml'));
+
+    expect(records[0].record).toEqual({
+      id: 'REQ-101',
+      title: 'Checkout',
+      type: 'functional',
+      priority: 'p0-critical',
+      acceptanceCriteria: ['Card payments are accepted']
+    });
+  });
+
+  test('should map CSV columns and split list fields', () => {
+    const content = 'Req ID,Summary,Criteria\nREQ-201,"Export, CSV",Header row present; Values quoted\n';
+    const records = loadCSV(content, {
+      csv: { columns: { id: 'Req ID', title: 'Summary', acceptanceCriteria: 'Criteria' } }
+    });
+
+    expect(records).toEqual([{
+      id: 'REQ-201',
+      title: 'Export, CSV',
+      acceptanceCriteria: ['Header row present', 'Values quoted']
+    }]);
+  });
+
+  test('should read one record per Markdown file from front-matter', () => {
+    const [record] = loadMarkdown('---\ntitle: Accessible forms\ntags: [a11y]\n---\nAll fields are labelled.\n', {
+      file: 'requirements/REQ-301.md'
+    });
+
+    expect(record).toEqual({
+      id: 'REQ-301',
+      title: 'Accessible forms',
+      tags: ['a11y'],
+      description: 'All fields are labelled.'
+    });
+  });
+
+  test('should expand globs and arrays of paths', async () => {
+    const records = await loadRecords([
+      path.join(sources, 'markdown/*.md'),
+      path.join(sources, 'requirements.yaml')
+    ]);
+
+    expect(records.map(({ record }) => record.id)).toEqual(['REQ-301', 'REQ-302', 'REQ-101']);
+  });
+
+  test('should use custom loaders registered by extension', async () => {
+    const records = await loadRecords(path.join(sources, 'requirements.yaml'), {
+      loaders: { '.yaml': () => [{ id: 'REQ-CUSTOM' }] }
+    });
+
+    expect(records.map(({ record }) => record.id)).toEqual(['REQ-CUSTOM']);
+  });
+
+  test('should fail when no file matches', async () => {
+    await expect(loadRecords(path.join(sources, 'missing/*.json'))).rejects.toThrow('No files found matching');
+  });
+
+  test('should load requirements from mixed sources into CypressRTM', async () => {
+    const rtm = new CypressRTM({
+      requirementsPath: [
+        path.join(sources, 'requirements.yaml'),
+        path.join(sources, 'requirements.csv'),
+        path.join(sources, 'markdown/*.md')
+      ],
+      csv: {
+        columns: { id: 'Req ID', title: 'Summary', type: 'Type', priority: 'Priority', acceptanceCriteria: 'Criteria' }
+      }
+    });
+
+    await rtm.loadRequirements();
+
+    expect(Array.from(rtm.requirements.keys())).toEqual(['REQ-101', 'REQ-201', 'REQ-202', 'REQ-301', 'REQ-302']);
+    expect(rtm.requirements.get('REQ-202')).toMatchObject({ title: 'Audit trail', Notes: 'Kept for 7 years' });
+  });
+
+  test('should reject duplicate requirement IDs across files', async () => {
+    const rtm = new CypressRTM({
+      requirementsPath: path.join(sources, 'requirements.yaml')
+    });
+    rtm.requirements.set('REQ-101', {});
+
+    await expect(rtm.loadRequirements()).rejects.toThrow('Duplicate requirement REQ-101');
+  });
+
+  test('should load manual test cases with their last result', async () => {
+    const rtm = new CypressRTM({
+      requirementsPath: [path.join(sources, 'requirements.yaml'), path.join(sources, 'requirements.csv')],
+      manualTestsPath: path.join(sources, 'manual-tests.*'),
+      csv: { columns: { id: 'Req ID', title: 'Summary', type: 'Type', priority: 'Priority', acceptanceCriteria: 'Criteria' } }
+    });
+
+    await rtm.loadRequirements();
+    await rtm.loadManualTests();
+
+    expect(rtm.testCases.get('MT-001')).toMatchObject({
+      title: 'Pay with a stored card',
+      type: 'e2e',
+      priority: 'p1-must-run',
+      requirements: ['REQ-101'],
+      criteria: { 'REQ-101': ['AC-1'] },
+      status: 'passed',
+      tester: 'Dana Lee',
+      executedAt: '2024-05-02T00:00:00.000Z',
+      automated: false,
+      origin: 'manual'
+    });
+    expect(rtm.testCases.get('MT-002')).toMatchObject({
+      requirements: ['REQ-201', 'REQ-202'],
+      priority: 'p2-high-value',
+      status: 'failed',
+      executedAt: '2024-05-03',
+      automated: false
+    });
+  });
+
+  test('should report every invalid manual test case', async () => {
+    const rtm = new CypressRTM({ manualTestsPath: path.join(sources, 'manual-tests.yaml') });
+    rtm.testCases.set('MT-001', { id: 'MT-001' });
+
+    await expect(rtm.loadManualTests()).rejects.toThrow('Duplicate test case MT-001');
+
+    rtm.testCases.clear();
+    const error = await rtm.loadManualTests().catch(err => err);
+    expect(error.code).toBe('INVALID_MANUAL_TEST');
+    expect(error.message).toContain('manual-tests.yaml: MT-001: Criteria reference unknown requirement or user story REQ-101');
+  });
+});
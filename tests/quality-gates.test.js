@@ -0,0 +1,160 @@
+// tests/quality-gates.test.js
+const RTMQualityGates = require('../src/quality-gates');
+const RTMReportGenerator = require('../src/reports');
+const RTMHistory = require('../src/history');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES
+} = require('../src/constants');
+
+describe('RTMQualityGates', () => {
+  let rtm;
+
+  function createRTM(qualityGates) {
+    const instance = new CypressRTM({ qualityGates });
+
+    instance.requirements = new Map([
+      ['REQ-001', {
+        id: 'REQ-001',
+        title: 'Login Functionality',
+        type: REQUIREMENT_TYPES.FUNCTIONAL,
+        priority: REQUIREMENT_PRIORITIES.P0
+      }],
+      ['REQ-002', {
+        id: 'REQ-002',
+        title: 'Password Security',
+        type: REQUIREMENT_TYPES.SECURITY,
+        priority: REQUIREMENT_PRIORITIES.P1
+      }],
+      ['REQ-003', {
+        id: 'REQ-003',
+        title: 'Audit Log',
+        type: REQUIREMENT_TYPES.COMPLIANCE,
+        priority: REQUIREMENT_PRIORITIES.P2
+      }]
+    ]);
+
+    instance.userStories = new Map([
+      ['US-001', { id: 'US-001', title: 'User Login' }],
+      ['US-002', { id: 'US-002', title: 'Password Reset' }]
+    ]);
+
+    instance.testCases = new Map([
+      ['TC-001', {
+        id: 'TC-001',
+        title: 'Successful Login',
+        type: TEST_TYPES.E2E,
+        priority: TEST_PRIORITIES.P1,
+        requirements: ['REQ-001'],
+        userStories: ['US-001'],
+        status: 'skipped'
+      }],
+      ['TC-002', {
+        id: 'TC-002',
+        title: 'Password Encryption',
+        type: TEST_TYPES.SECURITY,
+        priority: TEST_PRIORITIES.P1,
+        requirements: ['REQ-002'],
+        status: 'failed'
+      }]
+    ]);
+
+    return instance;
+  }
+
+  test('should pass when no gates are configured', () => {
+    rtm = createRTM();
+
+    expect(new RTMQualityGates(rtm).evaluate()).toEqual({
+      passed: true,
+      evaluated: [],
+      violations: []
+    });
+  });
+
+  test('should report every violated gate', () => {
+    rtm = createRTM({
+      minCoverage: 80,
+      minPassingTests: { [REQUIREMENT_PRIORITIES.P0]: 1 },
+      noFailingTests: [REQUIREMENT_PRIORITIES.P1],
+      maxUncoveredUserStories: 0
+    });
+
+    const result = new RTMQualityGates(rtm).evaluate();
+
+    expect(result.passed).toBe(false);
+    expect(result.evaluated).toEqual(['minCoverage', 'minPassingTests', 'noFailingTests', 'maxUncoveredUserStories']);
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'Requirement coverage 66.7% is below the minimum of 80%',
+      'REQ-001 (p0-critical) has 0 passing test(s), at least 1 required',
+      'REQ-002 (p1-high) has failing test(s): TC-002',
+      '1 user stories are uncovered, at most 0 allowed: US-002'
+    ]);
+  });
+
+  test('should pass when thresholds are met', () => {
+    rtm = createRTM({
+      minCoverage: 60,
+      minPassingTests: { [REQUIREMENT_PRIORITIES.P0]: 1 },
+      noFailingTests: [REQUIREMENT_PRIORITIES.P1],
+      maxUncoveredUserStories: 1
+    });
+    rtm.testCases.get('TC-001').status = 'passed';
+    rtm.testCases.get('TC-002').status = 'passed';
+
+    expect(new RTMQualityGates(rtm).evaluate()).toMatchObject({ passed: true, violations: [] });
+  });
+
+  test('should throw readable violation list from assertQualityGates', () => {
+    rtm = createRTM({ minCoverage: 100 });
+
+    expect(() => rtm.assertQualityGates()).toThrow(
+      'RTM quality gates failed with 1 violation(s):\n  - Requirement coverage 66.7% is below the minimum of 100%'
+    );
+  });
+
+  test('should only check the requirements and user stories a filtered run selected', () => {
+    rtm = createRTM({
+      minCoverage: 100,
+      minPassingTests: { [REQUIREMENT_PRIORITIES.P0]: 1 },
+      noFailingTests: [REQUIREMENT_PRIORITIES.P1],
+      maxUncoveredUserStories: 0
+    });
+    rtm.testCases.get('TC-001').status = 'passed';
+    rtm.filter = { userStories: ['US-001'] };
+
+    expect(new RTMQualityGates(rtm).evaluate()).toMatchObject({ passed: true, violations: [] });
+
+    rtm.filter = { requirements: ['REQ-002', 'REQ-003'] };
+    expect(new RTMQualityGates(rtm).evaluate().violations.map(violation => violation.message)).toEqual([
+      'Requirement coverage 50.0% is below the minimum of 100%',
+      'REQ-002 (p1-high) has failing test(s): TC-002'
+    ]);
+  });
+
+  test('should leave draft and retired requirements out of the gates', () => {
+    rtm = createRTM({ minCoverage: 100, minPassingTests: { [REQUIREMENT_PRIORITIES.P0]: 1 } });
+    rtm.requirements.get('REQ-001').status = 'draft';
+    rtm.requirements.get('REQ-003').status = 'rejected';
+
+    expect(new RTMQualityGates(rtm).evaluate()).toMatchObject({ passed: true, violations: [] });
+  });
+
+  test('should report full coverage and pass the coverage gate without requirements in scope', () => {
+    rtm = createRTM({ minCoverage: 100 });
+    rtm.requirements.forEach(req => {
+      req.status = 'draft';
+    });
+
+    expect(new RTMQualityGates(rtm).evaluate()).toEqual({ passed: true, evaluated: ['minCoverage'], violations: [] });
+    expect(new RTMReportGenerator(rtm).generateCoverageSummary().requirements).toMatchObject({ total: 0, percentage: 100 });
+    expect(new RTMHistory(rtm).calculateMetrics()).toMatchObject({
+      totalRequirements: 0,
+      coveragePercentage: 100,
+      weightedCoveragePercentage: 100
+    });
+  });
+});
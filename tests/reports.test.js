@@ -150,7 +150,7 @@ describe('RTMReportGenerator', () => {
   test('should generate JSON report file', async () => {
     await reportGenerator.generateReports();
     
-    const jsonPath = path.join(outputPath, 'data22.json');
+    const jsonPath = path.join(outputPath, 'rtm-report.json');
     const exists = await fs.access(jsonPath)
       .then(() => true)
       .catch(() => false);
@@ -180,4 +180,323 @@ describe('RTMReportGenerator', () => {
     expect(summary.execution.skipped).toBe(0);
     expect(summary.execution.percentagePassed).toBe(0);
   });
-});
\ No newline at end of file
+
+  test('should build traceability matrix', () => {
+    rtm.testCases.get('TC-001').status = 'passed';
+
+    const matrix = reportGenerator.getTraceabilityMatrix();
+
+    expect(matrix).toEqual([
+      expect.objectContaining({ requirementId: 'REQ-001', tests: [{ id: 'TC-001', status: 'passed' }] }),
+      expect.objectContaining({ requirementId: 'REQ-002', tests: [{ id: 'TC-002', status: 'not-run' }] })
+    ]);
+  });
+
+  test('should mark suspect tests in the traceability matrix', async () => {
+    rtm.testCases.get('TC-001').status = 'passed';
+    rtm.testCases.get('TC-001').suspectRequirements = ['REQ-001'];
+
+    expect(reportGenerator.getTraceabilityMatrix()[0].tests).toEqual([{ id: 'TC-001', status: 'passed', suspect: true }]);
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('Suspect: REQ-001 changed');
+  });
+
+  test('should calculate requirement and user story coverage', () => {
+    rtm.requirements.set('REQ-003', {
+      id: 'REQ-003',
+      title: 'Audit Log',
+      type: REQUIREMENT_TYPES.COMPLIANCE,
+      priority: REQUIREMENT_PRIORITIES.P2
+    });
+
+    const coverage = reportGenerator.generateCoverageSummary();
+
+    expect(coverage.requirements).toEqual({ total: 3, covered: 2, partial: 0, percentage: (2 / 3) * 100 });
+    expect(coverage.userStories).toEqual({ total: 2, covered: 2, percentage: 100 });
+  });
+
+  test('should generate self-contained HTML report file', async () => {
+    rtm.testCases.get('TC-001').status = 'failed';
+    rtm.testCases.get('TC-001').error = '<script>alert(1)</script>';
+
+    await reportGenerator.generateReports();
+
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+
+    expect(html).toContain('<!DOCTYPE html>');
+    expect(html).toContain('REQ-001');
+    expect(html).toContain('TC-002');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toMatch(/(src|href)="https?:/);
+  });
+
+  test('should group test cases by suite', () => {
+    rtm.suites.set('TS-Auth', { id: 'TS-Auth', title: 'Auth', requirements: ['REQ-001'] });
+    rtm.testCases.get('TC-001').suites = ['TS-Auth'];
+    rtm.testCases.get('TC-001').status = 'passed';
+
+    const suites = reportGenerator.getSuitesDetails();
+
+    expect(suites).toEqual([
+      expect.objectContaining({
+        id: 'TS-Auth',
+        testCases: ['TC-001'],
+        execution: { passed: 1, failed: 0, skipped: 0 }
+      })
+    ]);
+  });
+
+  test('should report coverage of Gherkin scenarios', () => {
+    rtm.userStories.set('US-012', {
+      id: 'US-012',
+      title: 'Guest checkout',
+      file: 'cypress/e2e/checkout.feature',
+      scenarios: [
+        { name: 'Pay by card', requirements: ['REQ-001'] },
+        { name: 'Reject invalid card', requirements: [] }
+      ]
+    });
+    rtm.testCases.set('TC-003', {
+      id: 'TC-003',
+      title: 'Pay by card',
+      spec: 'cypress/e2e/checkout.feature',
+      status: 'passed'
+    });
+
+    expect(reportGenerator.getScenarioCoverage()).toEqual([
+      {
+        storyId: 'US-012',
+        scenario: 'Pay by card',
+        requirements: ['REQ-001'],
+        tests: [{ id: 'TC-003', status: 'passed' }],
+        status: 'passed'
+      },
+      {
+        storyId: 'US-012',
+        scenario: 'Reject invalid card',
+        requirements: [],
+        tests: [],
+        status: 'uncovered'
+      }
+    ]);
+  });
+
+  test('should report Scenario Outline examples under their scenario', () => {
+    rtm.userStories.set('US-012', {
+      id: 'US-012',
+      file: 'cypress/e2e/checkout.feature',
+      scenarios: [{ name: 'Reject invalid card', requirements: [] }]
+    });
+    rtm.testCases.set('TC-003', { id: 'TC-003', title: 'Reject invalid card (example #1)', spec: 'cypress/e2e/checkout.feature', status: 'passed' });
+    rtm.testCases.set('TC-004', { id: 'TC-004', title: 'Reject invalid card (example #2)', spec: 'cypress/e2e/checkout.feature', status: 'failed' });
+    rtm.testCases.set('TC-005', { id: 'TC-005', title: 'Reject invalid cards', spec: 'cypress/e2e/checkout.feature', status: 'passed' });
+
+    expect(reportGenerator.getScenarioCoverage()[0]).toMatchObject({
+      tests: [{ id: 'TC-003', status: 'passed' }, { id: 'TC-004', status: 'failed' }],
+      status: 'failed'
+    });
+  });
+
+  test('should report status of each acceptance criterion', () => {
+    rtm.requirements.get('REQ-001').acceptanceCriteria = ['Valid login', 'Invalid login', 'Lockout'];
+    Object.assign(rtm.testCases.get('TC-001'), { status: 'passed', criteria: { 'REQ-001': ['AC-1'] } });
+    Object.assign(rtm.testCases.get('TC-002'), { status: 'failed', criteria: { 'REQ-001': ['AC-2'] } });
+
+    const [coverage] = reportGenerator.getCriteriaCoverage();
+
+    expect(coverage).toMatchObject({
+      itemId: 'REQ-001',
+      kind: 'requirement',
+      verified: 1,
+      failing: 1,
+      untested: 1
+    });
+    expect(coverage.criteria.map(criterion => [criterion.id, criterion.status])).toEqual([
+      ['AC-1', 'passed'],
+      ['AC-2', 'failed'],
+      ['AC-3', 'uncovered']
+    ]);
+  });
+
+  test('should include the requirement hierarchy with rollup', async () => {
+    rtm.requirements.set('EPIC-1', {
+      id: 'EPIC-1',
+      title: 'Account access',
+      type: REQUIREMENT_TYPES.FUNCTIONAL,
+      priority: REQUIREMENT_PRIORITIES.P0,
+      level: 'epic'
+    });
+    rtm.requirements.get('REQ-001').parent = 'EPIC-1';
+    rtm.requirements.get('REQ-002').parent = 'EPIC-1';
+
+    const [epic] = reportGenerator.collectReportData().hierarchy;
+    expect(epic).toMatchObject({ id: 'EPIC-1', level: 'epic', rollup: { requirements: { total: 2 } } });
+    expect(epic.children.map(node => node.id)).toEqual(['REQ-001', 'REQ-002']);
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('Requirement Hierarchy');
+    expect(html).toContain('Account access');
+  });
+
+  test('should include risk-weighted coverage and hotspots', () => {
+    const { risk } = reportGenerator.collectReportData();
+
+    expect(risk).toEqual({
+      weightedCoverage: expect.any(Number),
+      byPriority: expect.objectContaining({ 'p0-critical': expect.objectContaining({ total: 1 }) }),
+      hotspots: expect.any(Array)
+    });
+  });
+
+  test('should report requirements verified only by non-conforming test types as partially covered', () => {
+    rtm.config.typeRules = { [REQUIREMENT_TYPES.FUNCTIONAL]: [TEST_TYPES.SECURITY] };
+
+    const data = reportGenerator.collectReportData();
+
+    expect(data.coverage.requirements).toMatchObject({ covered: 1, partial: 1, percentage: 50 });
+    expect(data.partiallyCovered).toEqual([{
+      requirementId: 'REQ-001',
+      title: 'Login Functionality',
+      type: REQUIREMENT_TYPES.FUNCTIONAL,
+      requiredTestTypes: [TEST_TYPES.SECURITY],
+      tests: ['TC-001']
+    }]);
+    expect(data.matrix.map(row => row.coverage)).toEqual(['partial', 'covered']);
+    expect(data.uncovered.requirements).toEqual([]);
+  });
+
+  test('should render taxonomy labels and order requirements by priority', async () => {
+    rtm.requirements.get('REQ-001').priority = REQUIREMENT_PRIORITIES.P3;
+
+    expect(reportGenerator.getTraceabilityMatrix().map(row => row.requirementId)).toEqual(['REQ-002', 'REQ-001']);
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('<span style="color:#57606a" title="p3-low">P3 Low</span>');
+  });
+
+  test('should list unresolved links', () => {
+    rtm.testCases.get('TC-001').unresolvedLinks = { requirements: ['REQ-DRAFT'] };
+
+    expect(reportGenerator.collectReportData().unresolvedLinks).toEqual([{
+      testId: 'TC-001',
+      title: 'Successful Login',
+      requirements: ['REQ-DRAFT'],
+      userStories: []
+    }]);
+  });
+
+  test('should record the filter of the run', async () => {
+    rtm.filter = { requirements: ['REQ-001'], priorities: ['p1-must-run'] };
+
+    expect(reportGenerator.collectReportData().filter).toEqual(rtm.filter);
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('Filtered by requirements: REQ-001 &middot; priorities: p1-must-run');
+  });
+
+  test('should render requirement changes and suspect tests', async () => {
+    const baseline = {
+      previous: { runId: 'run-1', timestamp: '2024-01-01T00:00:00.000Z' },
+      added: [],
+      removed: [],
+      modified: ['REQ-001'],
+      suspectTests: [{ testId: 'TC-001', title: 'Successful Login', verifiedAt: '2024-01-01T00:00:00.000Z', requirements: ['REQ-001'] }]
+    };
+
+    await reportGenerator.generateReports({ baseline });
+
+    const json = JSON.parse(await fs.readFile(path.join(outputPath, 'rtm-report.json'), 'utf8'));
+    expect(json.baseline).toEqual(baseline);
+
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('<li>Modified: REQ-001</li>');
+    expect(html).toContain('<th>TC-001</th>\n      <td>Successful Login</td>\n      <td>REQ-001</td>');
+  });
+
+  test('should count only in-scope requirements towards coverage', async () => {
+    rtm.requirements.set('REQ-003', {
+      id: 'REQ-003',
+      title: 'Single Sign-On',
+      type: REQUIREMENT_TYPES.FUNCTIONAL,
+      priority: REQUIREMENT_PRIORITIES.P1,
+      status: 'draft'
+    });
+    rtm.requirements.set('REQ-004', {
+      id: 'REQ-004',
+      title: 'Security Questions',
+      type: REQUIREMENT_TYPES.SECURITY,
+      priority: REQUIREMENT_PRIORITIES.P1,
+      status: 'deprecated'
+    });
+    rtm.requirements.set('REQ-005', {
+      id: 'REQ-005',
+      title: 'Captcha',
+      type: REQUIREMENT_TYPES.SECURITY,
+      priority: REQUIREMENT_PRIORITIES.P2,
+      status: 'rejected'
+    });
+    rtm.requirements.get('REQ-001').status = 'implemented';
+    rtm.testCases.get('TC-002').requirements = ['REQ-002', 'REQ-004'];
+
+    const data = reportGenerator.collectReportData();
+
+    expect(data.coverage.requirements).toMatchObject({ total: 2, covered: 2, percentage: 100 });
+    expect(data.summary.totalRequirements).toBe(data.coverage.requirements.total);
+    expect(data.uncovered.requirements).toEqual([]);
+    expect(data.matrix.map(row => row.requirementId)).toEqual(['REQ-001', 'REQ-002']);
+    expect(data.draftRequirements).toEqual([{
+      requirementId: 'REQ-003',
+      title: 'Single Sign-On',
+      priority: REQUIREMENT_PRIORITIES.P1,
+      tests: []
+    }]);
+    expect(data.retiredLinks).toEqual([{ testId: 'TC-002', title: 'Password Encryption', requirements: ['REQ-004'] }]);
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('<td>REQ-004 (deprecated)</td>');
+  });
+
+  test('should split coverage into automated and manual verification', async () => {
+    rtm.testCases.set('MT-001', {
+      id: 'MT-001',
+      title: 'Manual password review',
+      type: TEST_TYPES.SECURITY,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-002'],
+      status: 'passed',
+      tester: 'Dana Lee',
+      executedAt: '2024-05-02',
+      automated: false
+    });
+    rtm.testCases.get('TC-002').requirements = [];
+
+    const { verification } = reportGenerator.collectReportData();
+
+    expect(verification).toEqual({
+      requirements: [
+        { requirementId: 'REQ-001', title: 'Login Functionality', automated: [{ id: 'TC-001', status: 'not-run' }], manual: [] },
+        {
+          requirementId: 'REQ-002',
+          title: 'Password Security',
+          automated: [],
+          manual: [{ id: 'MT-001', status: 'passed', tester: 'Dana Lee', executedAt: '2024-05-02' }]
+        }
+      ],
+      automated: 1,
+      manual: 1,
+      manualOnly: ['REQ-002']
+    });
+
+    await reportGenerator.generateReports();
+    const html = await fs.readFile(path.join(outputPath, 'rtm-report.html'), 'utf8');
+    expect(html).toContain('1 requirement(s) verified by automated tests, 1 by manual tests, 1 only manually');
+    expect(html).toContain('<div class="meta">Dana Lee, 2024-05-02</div>');
+  });
+});
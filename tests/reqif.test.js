@@ -0,0 +1,67 @@
+// tests/reqif.test.js
+const { loadReqIF, loadReqIFZ } = require('../src/reqif');
+const { CypressRTM } = require('../src/core');
+const AdmZip = require('adm-zip');
+const path = require('path');
+const fs = require('fs');
+
+describe('ReqIF import', () => {
+  const reqifPath = path.join(__dirname, 'fixtures/sources/requirements.reqif');
+  const content = fs.readFileSync(reqifPath, 'utf8');
+
+  const options = {
+    reqif: {
+      attributes: { type: 'Category' },
+      values: {
+        type: { Security: 'security', Functional: 'functional' },
+        priority: { Critical: 'p0-critical', High: 'p1-high' }
+      },
+      specObjectTypes: ['Requirement']
+    }
+  };
+
+  test('should map SPEC-OBJECT attributes onto requirements', () => {
+    const records = loadReqIF(content, options);
+
+    expect(records[0]).toEqual({
+      id: 'REQ-401',
+      title: 'Payment authorisation',
+      type: 'security',
+      priority: 'p0-critical',
+      description: 'Payments are authorised & captured within 3 seconds.'
+    });
+  });
+
+  test('should map SPEC-RELATIONs to related requirements', () => {
+    const records = loadReqIF(content, options);
+
+    expect(records[1]).toMatchObject({ id: 'REQ-402', relatedRequirements: ['REQ-401'] });
+  });
+
+  test('should limit import to configured spec object types', () => {
+    expect(loadReqIF(content, options).map(record => record.id)).toEqual(['REQ-401', 'REQ-402']);
+    expect(loadReqIF(content).map(record => record.id)).toEqual(['REQ-401', 'REQ-402', 'so-heading']);
+  });
+
+  test('should reject documents that are not ReqIF', () => {
+    expect(() => loadReqIF('<root/>')).toThrow('Not a ReqIF document');
+  });
+
+  test('should load every ReqIF document in a reqifz archive', () => {
+    const archive = new AdmZip();
+    archive.addFile('export/requirements.reqif', Buffer.from(content));
+    archive.addFile('export/readme.txt', Buffer.from('not a requirement'));
+
+    const records = loadReqIFZ('', { ...options, buffer: archive.toBuffer() });
+
+    expect(records.map(record => record.id)).toEqual(['REQ-401', 'REQ-402']);
+  });
+
+  test('should load ReqIF files through CypressRTM', async () => {
+    const rtm = new CypressRTM({ requirementsPath: reqifPath, ...options });
+
+    await rtm.loadRequirements();
+
+    expect(Array.from(rtm.requirements.keys())).toEqual(['REQ-401', 'REQ-402']);
+  });
+});
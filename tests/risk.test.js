@@ -0,0 +1,147 @@
+// tests/risk.test.js
+const RTMRisk = require('../src/risk');
+const RTMScanner = require('../src/scanner');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES
+} = require('../src/constants');
+const path = require('path');
+
+describe('RTMRisk', () => {
+  let rtm;
+
+  const requirement = (id, priority) => [id, {
+    id,
+    title: `Title of ${id}`,
+    type: REQUIREMENT_TYPES.FUNCTIONAL,
+    priority
+  }];
+
+  const testCase = (id, requirements, priority, status) => [id, {
+    id,
+    title: `Title of ${id}`,
+    type: TEST_TYPES.E2E,
+    priority,
+    requirements,
+    status
+  }];
+
+  beforeEach(() => {
+    rtm = new CypressRTM();
+
+    rtm.requirements = new Map([
+      requirement('REQ-001', REQUIREMENT_PRIORITIES.P0),
+      requirement('REQ-002', REQUIREMENT_PRIORITIES.P0),
+      requirement('REQ-003', REQUIREMENT_PRIORITIES.P1),
+      requirement('REQ-004', REQUIREMENT_PRIORITIES.P3)
+    ]);
+
+    rtm.testCases = new Map([
+      testCase('TC-001', ['REQ-001'], TEST_PRIORITIES.P1, 'passed'),
+      testCase('TC-002', ['REQ-002'], TEST_PRIORITIES.P1, 'failed'),
+      testCase('TC-003', ['REQ-002'], TEST_PRIORITIES.P4, 'passed'),
+      testCase('TC-004', ['REQ-003'], TEST_PRIORITIES.P3, 'skipped')
+    ]);
+  });
+
+  test('should weight coverage by requirement and test priority', () => {
+    // REQ-001: 4 * 1, REQ-002: 4 * 1, REQ-003: 3 * 0.5, REQ-004: uncovered, out of 4 + 4 + 3 + 1
+    expect(new RTMRisk(rtm).calculateWeightedCoverage()).toBeCloseTo((9.5 / 12) * 100);
+  });
+
+  test('should use configured weights', () => {
+    rtm.config.risk = {
+      requirementWeights: { [REQUIREMENT_PRIORITIES.P3]: 0 },
+      testWeights: { [TEST_PRIORITIES.P3]: 1 }
+    };
+
+    expect(new RTMRisk(rtm).calculateWeightedCoverage()).toBe(100);
+  });
+
+  test('should derive default weights and hotspots from custom priority taxonomies', () => {
+    rtm = new CypressRTM({
+      taxonomies: {
+        requirementPriorities: { replace: ['critical', 'major', 'minor'] },
+        testPriorities: { replace: ['blocker', 'regular'] }
+      }
+    });
+    rtm.requirements = new Map([
+      requirement('REQ-001', 'critical'),
+      requirement('REQ-002', 'major'),
+      requirement('REQ-003', 'minor')
+    ]);
+    rtm.testCases = new Map([
+      testCase('TC-001', ['REQ-001'], 'blocker', 'passed'),
+      testCase('TC-002', ['REQ-002'], 'regular', 'passed'),
+      testCase('TC-003', ['REQ-003'], 'blocker', 'failed')
+    ]);
+
+    const risk = new RTMRisk(rtm);
+
+    expect(risk.options).toMatchObject({
+      requirementWeights: { critical: 3, major: 2, minor: 1 },
+      testWeights: { blocker: 1, regular: 0.5 },
+      hotspotPriorities: ['critical', 'major'],
+      lowPriorityTests: ['regular']
+    });
+    // REQ-001: 3 * 1, REQ-002: 2 * 0.5, REQ-003: 1 * 1 (covered by a failing test), out of 3 + 2 + 1
+    expect(risk.calculateWeightedCoverage()).toBeCloseTo((5 / 6) * 100);
+    expect(risk.getHotspots().map(hotspot => [hotspot.requirementId, hotspot.lowPriority])).toEqual([['REQ-002', ['TC-002']]]);
+  });
+
+  test('should break coverage and pass rate down by priority', () => {
+    const breakdown = new RTMRisk(rtm).getPriorityBreakdown();
+
+    expect(breakdown[REQUIREMENT_PRIORITIES.P0]).toEqual({
+      total: 2,
+      covered: 2,
+      percentage: 100,
+      tests: 3,
+      passed: 2,
+      passRate: (2 / 3) * 100
+    });
+    expect(breakdown[REQUIREMENT_PRIORITIES.P2]).toMatchObject({ total: 0, percentage: 0 });
+    expect(breakdown[REQUIREMENT_PRIORITIES.P3]).toMatchObject({ total: 1, covered: 0 });
+  });
+
+  test('should list high-priority requirements without a reliable passing test', () => {
+    expect(new RTMRisk(rtm).getHotspots()).toEqual([
+      {
+        requirementId: 'REQ-002',
+        title: 'Title of REQ-002',
+        priority: REQUIREMENT_PRIORITIES.P0,
+        failing: ['TC-002'],
+        skipped: [],
+        notRun: [],
+        lowPriority: ['TC-003']
+      },
+      {
+        requirementId: 'REQ-003',
+        title: 'Title of REQ-003',
+        priority: REQUIREMENT_PRIORITIES.P1,
+        failing: [],
+        skipped: ['TC-004'],
+        notRun: [],
+        lowPriority: ['TC-004']
+      }
+    ]);
+  });
+
+  test('should report planned tests of a scan as not run', async () => {
+    rtm = new CypressRTM({
+      requirementsPath: path.join(__dirname, 'fixtures/requirements.json'),
+      userStoriesPath: path.join(__dirname, 'fixtures/user-stories.json')
+    });
+    await rtm.loadRequirements();
+    await rtm.loadUserStories();
+    await new RTMScanner(rtm).scan(path.join(__dirname, 'fixtures/specs/login.cy.js'));
+
+    const [hotspot] = new RTMRisk(rtm).getHotspots();
+    expect(hotspot).toMatchObject({ requirementId: 'REQ-001', failing: [], skipped: [] });
+    expect(hotspot.notRun).toEqual(Array.from(rtm.testCases.keys()));
+    expect(hotspot.notRun).toHaveLength(2);
+  });
+});
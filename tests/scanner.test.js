@@ -0,0 +1,92 @@
+// tests/scanner.test.js
+const RTMScanner = require('../src/scanner');
+const { parseSpec } = require('../src/spec-parser');
+const { CypressRTM } = require('../src/core');
+const { TEST_TYPES, TEST_PRIORITIES } = require('../src/constants');
+const path = require('path');
+
+describe('RTMScanner', () => {
+  const specs = path.join(__dirname, 'fixtures/specs');
+  let rtm;
+  let scanner;
+
+  beforeEach(async () => {
+    rtm = new CypressRTM({
+      userStoriesPath: path.join(__dirname, 'fixtures/user-stories.json'),
+      requirementsPath: path.join(__dirname, 'fixtures/requirements.json'),
+      outputPath: path.join(__dirname, 'output-scanner')
+    });
+    await rtm.loadRequirements();
+    await rtm.loadUserStories();
+    scanner = new RTMScanner(rtm);
+  });
+
+  test('should link known IDs declared in titles', () => {
+    const source = "describe('[REQ-001] Login', () => { it('[US-001] logs in', { rtm: { id: 'TC-LOGIN' } }, () => {}); });";
+
+    expect(scanner.register(parseSpec(source, 'login.cy.js')).testCases).toEqual(['TC-LOGIN']);
+    expect(rtm.testCases.get('TC-LOGIN')).toMatchObject({ requirements: ['REQ-001'], userStories: ['US-001'] });
+  });
+
+  test('should not register tests whose title tokens name no known ID', () => {
+    const source = "describe('Home', () => { it('[smoke] quick check', () => {}); it('[smoke][REQ-001] logs in', () => {}); });";
+
+    expect(scanner.register(parseSpec(source, 'home.cy.js')).testCases).toEqual(['TC-home.cy.js > Home > [smoke][REQ-001] logs in']);
+    expect(rtm.testCases.size).toBe(1);
+  });
+
+  test('should register planned test cases from spec files', async () => {
+    const spec = path.relative(process.cwd(), path.join(specs, 'login.cy.js'));
+
+    const result = await scanner.scan(path.join(specs, 'login.cy.js'));
+
+    expect(result.testCases).toEqual([`TC-${spec} > Login > accepts valid credentials`, 'TC-LOGIN-2']);
+    expect(result.errors).toEqual([]);
+    expect(rtm.suites.get(`TS-${spec} > Login`)).toMatchObject({ requirements: ['REQ-001'], tags: ['auth'] });
+    expect(rtm.testCases.get(`TC-${spec} > Login > accepts valid credentials`)).toMatchObject({
+      type: TEST_TYPES.SMOKE,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001'],
+      userStories: ['US-001'],
+      criteria: { 'US-001': ['AC-1'] },
+      tags: ['auth'],
+      status: 'not-run'
+    });
+    expect(rtm.testCases.get('TC-LOGIN-2')).toMatchObject({
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P2,
+      requirements: ['REQ-001'],
+      userStories: ['US-001'],
+      tags: ['auth', 'negative'],
+      status: 'not-run'
+    });
+  });
+
+  test('should parse TypeScript specs', async () => {
+    const result = await scanner.scan(path.join(specs, '*.cy.ts'));
+    const spec = path.relative(process.cwd(), path.join(specs, 'checkout.cy.ts'));
+
+    expect(result.testCases).toEqual([`TC-${spec} > Checkout > pays by card`]);
+    expect(result.warnings).toEqual([
+      `${spec}:13 Skipped it() with a title computed at run time`,
+      `${spec}:18 Skipped cy.requirement() with arguments computed at run time`
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should report links to unknown requirements in strict mode', () => {
+    const { testCases, errors } = scanner.register(
+      parseSpec("it('links a draft', () => cy.requirement('REQ-DRAFT'));", 'draft.cy.js')
+    );
+
+    expect(testCases).toEqual([]);
+    expect(errors).toEqual([
+      'draft.cy.js > links a draft: Invalid test case structure for TC-draft.cy.js > links a draft:\n' +
+      '  - testCase.requirements[0] references unknown REQ-DRAFT'
+    ]);
+  });
+
+  test('should fail on spec patterns without matches', async () => {
+    await expect(scanner.scan(path.join(specs, '*.cy.jsx'))).rejects.toThrow('No spec files found');
+  });
+});
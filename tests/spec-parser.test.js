@@ -0,0 +1,72 @@
+// tests/spec-parser.test.js
+const { parseSpec } = require('../src/spec-parser');
+
+describe('Spec parser', () => {
+  test('should find tests, suites and link commands in a spec', () => {
+    const source = `
+      describe('Cart', () => {
+        beforeEach(() => cy.requirement('REQ-001'));
+
+        describe('Coupons', () => {
+          it('applies a coupon', function () {
+            cy.userStory(['US-001'], { priority: 'p2-high-value' });
+          });
+        });
+      });
+    `;
+
+    const { suites, tests, warnings } = parseSpec(source, 'cypress/e2e/cart.cy.js');
+
+    expect(suites).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(tests).toEqual([{
+      title: 'applies a coupon',
+      spec: 'cypress/e2e/cart.cy.js',
+      titlePath: ['Cart', 'Coupons', 'applies a coupon'],
+      links: [
+        { requirements: ['REQ-001'], type: undefined, priority: undefined, criteria: undefined },
+        { userStories: ['US-001'], type: undefined, priority: 'p2-high-value', criteria: undefined }
+      ]
+    }]);
+  });
+
+  test('should pick up links declared in titles and test config', () => {
+    const source = `
+      describe('[REQ-001] Login', () => {
+        it('[US-001] logs in', { retries: 2, rtm: { id: 'TC-LOGIN', tags: ['auth'] } }, () => {});
+      });
+    `;
+
+    const { tests } = parseSpec(source, 'login.cy.js');
+
+    expect(tests[0].links).toEqual([expect.objectContaining({
+      id: 'TC-LOGIN',
+      requirements: [],
+      userStories: [],
+      tags: ['auth'],
+      titleLinks: ['REQ-001', 'US-001']
+    })]);
+  });
+
+  test('should warn about titles and arguments computed at run time', () => {
+    const source = `
+      const ids = ['REQ-001'];
+      describe('Dynamic', () => {
+        it(\`case \${ids[0]}\`, () => {});
+        it('spreads ids', () => {
+          cy.requirement(ids);
+        });
+        before(() => cy.requirement('REQ-001'));
+      });
+    `;
+
+    const { tests, warnings } = parseSpec(source, 'dynamic.cy.js');
+
+    expect(tests.map(test => test.links)).toEqual([[]]);
+    expect(warnings).toEqual([
+      'dynamic.cy.js:4 Skipped it() with a title computed at run time',
+      'dynamic.cy.js:6 Skipped cy.requirement() with arguments computed at run time',
+      'dynamic.cy.js:8 Skipped cy.requirement() outside of a test or beforeEach hook'
+    ]);
+  });
+});
@@ -53,6 +53,7 @@ describe('RTMTasks', () => {
     
     // Verify task registration calls
     expect(cypressOn).toHaveBeenCalledWith('task', expect.any(Object));
+    expect(cypressOn).toHaveBeenCalledWith('after:spec', expect.any(Function));
     expect(cypressOn).toHaveBeenCalledWith('after:run', expect.any(Function));
     
     // Verify each task is registered
@@ -60,6 +61,33 @@ describe('RTMTasks', () => {
     expect(registeredTasks).toHaveProperty('rtm:validateStory');
     expect(registeredTasks).toHaveProperty('rtm:addTestCase');
     expect(registeredTasks).toHaveProperty('rtm:addSuite');
+    expect(registeredTasks).toHaveProperty('rtm:matchesFilter');
+  });
+
+  test('should select tests by filter and keep the filter for the reports', async () => {
+    const test = { spec: 'cypress/e2e/missing.cy.js', titlePath: ['[REQ-001] logs in'], titleLinks: ['REQ-001'] };
+
+    expect(await tasks.matchesFilter({ filter: { requirements: ['REQ-001'] }, test })).toBe(true);
+    expect(await tasks.matchesFilter({ filter: { userStories: ['US-001'] }, test })).toBe(false);
+    expect(rtm.filter).toEqual({ userStories: ['US-001'] });
+  });
+
+  test('should not record results of tests the filter left out', async () => {
+    const spec = 'cypress/e2e/login.cy.js';
+    const filter = { userStories: ['US-001'] };
+    await tasks.matchesFilter({ filter, test: { spec, titlePath: ['Login', '[REQ-001] logs in'], titleLinks: ['REQ-001'] } });
+    await tasks.matchesFilter({ filter, test: { spec, titlePath: ['Login', '[US-001] remembers the user'], titleLinks: ['US-001'] } });
+
+    tasks.recordSpecResults({ relative: spec }, {
+      tests: [
+        { title: ['Login', '[REQ-001] logs in'], state: 'pending', attempts: [] },
+        { title: ['Login', '[US-001] remembers the user'], state: 'passed', attempts: [{}] }
+      ]
+    });
+
+    expect(Array.from(rtm.testCases.values()).map(tc => [tc.title, tc.status])).toEqual([
+      ['[US-001] remembers the user', 'passed']
+    ]);
   });
 
   test('should validate requirement correctly', () => {
@@ -70,6 +98,16 @@ describe('RTMTasks', () => {
     expect(tasks.validateRequirement('REQ-002')).toBe(false);
   });
 
+  test('should resolve unknown IDs according to validateLinks', () => {
+    rtm.config.validateLinks = 'warn';
+    expect(tasks.validateRequirement('REQ-002')).toBe('unresolved');
+    expect(tasks.validateStory('US-002')).toBe('unresolved');
+    expect(tasks.validateRequirement('REQ-001')).toBe(true);
+
+    rtm.config.validateLinks = 'off';
+    expect(tasks.validateRequirement('REQ-002')).toBe(true);
+  });
+
   test('should validate user story correctly', () => {
     // Test valid story
     expect(tasks.validateStory('US-001')).toBe(true);
@@ -123,4 +161,308 @@ describe('RTMTasks', () => {
 
     expect(() => tasks.addTestCase(invalidTestCase)).toThrow();
   });
-});
\ No newline at end of file
+
+  test('should record spec results for linked tests', () => {
+    const spec = 'cypress/e2e/login.cy.js';
+    tasks.addTestCase({
+      id: 'TC-cypress/e2e/login.cy.js > Login > Passing Test',
+      title: 'Passing Test',
+      spec,
+      titlePath: ['Login', 'Passing Test'],
+      requirements: ['REQ-001']
+    });
+    tasks.addTestCase({
+      id: 'TC-0042',
+      title: 'Failing Test',
+      spec,
+      titlePath: ['Login', 'Failing Test'],
+      requirements: ['REQ-001']
+    });
+    tasks.addTestCase({
+      id: 'TC-cypress/e2e/login.cy.js > Login > Pending Test',
+      title: 'Pending Test',
+      spec,
+      titlePath: ['Login', 'Pending Test']
+    });
+
+    tasks.recordSpecResults({ relative: spec }, {
+      tests: [
+        { title: ['Login', 'Passing Test'], state: 'passed', duration: 120, attempts: [{ state: 'passed' }], displayError: null },
+        {
+          title: ['Login', 'Failing Test'],
+          state: 'failed',
+          attempts: [
+            { state: 'failed', duration: 50, error: { message: 'first' } },
+            { state: 'failed', duration: 70, error: { message: 'expected true to be false' } }
+          ]
+        },
+        { title: ['Login', 'Pending Test'], state: 'pending', attempts: [] },
+        { title: ['Login', 'Unlinked Test'], state: 'passed', duration: 10, attempts: [{ state: 'passed' }] }
+      ]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/login.cy.js > Login > Passing Test')).toMatchObject({
+      status: 'passed',
+      duration: 120,
+      attempts: 1
+    });
+    expect(rtm.testCases.get('TC-0042')).toMatchObject({
+      status: 'failed',
+      duration: 120,
+      attempts: 2,
+      error: 'expected true to be false'
+    });
+    expect(rtm.testCases.get('TC-cypress/e2e/login.cy.js > Login > Pending Test').status).toBe('skipped');
+    expect(rtm.testCases.size).toBe(3);
+  });
+
+  test('should not mix up results of same-named tests in different specs', () => {
+    ['cypress/e2e/a.cy.js', 'cypress/e2e/b.cy.js'].forEach(spec => {
+      tasks.addTestCase({
+        id: `TC-${spec} > Page > should load`,
+        title: 'should load',
+        spec,
+        titlePath: ['Page', 'should load']
+      });
+    });
+
+    tasks.recordSpecResults({ relative: 'cypress/e2e/b.cy.js' }, {
+      tests: [{ title: ['Page', 'should load'], state: 'failed', duration: 5, attempts: [{ state: 'failed' }] }]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/a.cy.js > Page > should load').status).toBeUndefined();
+    expect(rtm.testCases.get('TC-cypress/e2e/b.cy.js > Page > should load').status).toBe('failed');
+  });
+
+  test('should trace skipped tests through link tokens in their titles', () => {
+    tasks.recordSpecResults({ relative: 'cypress/e2e/login.cy.js' }, {
+      tests: [
+        { title: ['Login', '[REQ-001][US-001] remembers the user'], state: 'pending', attempts: [] },
+        { title: ['Login', '[WIP] resets the password'], state: 'pending', attempts: [] }
+      ]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/login.cy.js > Login > [REQ-001][US-001] remembers the user')).toMatchObject({
+      requirements: ['REQ-001'],
+      userStories: ['US-001'],
+      status: 'skipped'
+    });
+    expect(rtm.testCases.size).toBe(1);
+  });
+
+  test('should apply defaults only when registering a new test case', () => {
+    tasks.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      type: TEST_TYPES.API,
+      requirements: ['REQ-001']
+    });
+    tasks.addTestCase({
+      id: 'TC-001',
+      title: 'Test Case',
+      userStories: ['US-001']
+    });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({
+      type: TEST_TYPES.API,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001'],
+      userStories: ['US-001']
+    });
+  });
+
+  test('should not register tests whose title tokens name no known ID', () => {
+    const declared = (title, extra = {}) => ({
+      id: `TC-cypress/e2e/home.cy.js > ${title}`,
+      title,
+      spec: 'cypress/e2e/home.cy.js',
+      titlePath: [title],
+      requirements: [],
+      userStories: [],
+      tags: [],
+      dependencies: [],
+      automated: true,
+      ...extra
+    });
+
+    tasks.addTestCase(declared('[smoke] quick check', { titleLinks: ['smoke'] }));
+    tasks.addTestCase(declared('[smoke][REQ-001] logs in', { titleLinks: ['smoke', 'REQ-001'] }));
+    tasks.addTestCase(declared('[smoke] tagged check', { titleLinks: ['smoke'], tags: ['smoke'] }));
+
+    expect(Array.from(rtm.testCases.values()).map(tc => [tc.title, tc.requirements])).toEqual([
+      ['[smoke][REQ-001] logs in', ['REQ-001']],
+      ['[smoke] tagged check', []]
+    ]);
+  });
+
+  test('should keep the automated flag of an existing manual test case', () => {
+    rtm.testCases.set('MT-001', {
+      id: 'MT-001',
+      title: 'Manual login check',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001'],
+      automated: false
+    });
+
+    tasks.addTestCase({ id: 'MT-001', title: 'Manual login check', userStories: ['US-001'], automated: true });
+    tasks.addTestCase({ id: 'TC-001', title: 'Test Case', requirements: ['REQ-001'] });
+
+    expect(rtm.testCases.get('MT-001')).toMatchObject({ userStories: ['US-001'], automated: false });
+    expect(rtm.testCases.get('TC-001').automated).toBe(true);
+  });
+
+  test('should apply defaults of custom taxonomies', () => {
+    rtm.taxonomies.testPriorities = [{ value: 'p0', default: false }, { value: 'p1', default: true }];
+
+    tasks.addTestCase({ id: 'TC-001', title: 'Test Case', requirements: ['REQ-001'] });
+
+    expect(rtm.testCases.get('TC-001')).toMatchObject({ type: TEST_TYPES.E2E, priority: 'p1' });
+  });
+
+  test('should inherit suite metadata into new test cases', () => {
+    rtm.requirements.set('REQ-002', {
+      id: 'REQ-002',
+      title: 'Second Requirement',
+      type: 'security',
+      priority: 'p0-critical'
+    });
+
+    tasks.addSuite({
+      id: 'TS-cypress/e2e/auth.cy.js > Auth',
+      title: 'Auth',
+      spec: 'cypress/e2e/auth.cy.js',
+      titlePath: ['Auth'],
+      type: TEST_TYPES.SECURITY,
+      priority: TEST_PRIORITIES.P2,
+      requirements: ['REQ-001'],
+      tags: ['auth']
+    });
+    tasks.addSuite({
+      id: 'TS-cypress/e2e/auth.cy.js > Auth > Login',
+      title: 'Login',
+      spec: 'cypress/e2e/auth.cy.js',
+      titlePath: ['Auth', 'Login'],
+      priority: TEST_PRIORITIES.P1,
+      userStories: ['US-001']
+    });
+
+    tasks.addTestCase({
+      id: 'TC-cypress/e2e/auth.cy.js > Auth > Login > works',
+      title: 'works',
+      spec: 'cypress/e2e/auth.cy.js',
+      titlePath: ['Auth', 'Login', 'works'],
+      requirements: ['REQ-002'],
+      tags: ['smoke']
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/auth.cy.js > Auth > Login > works')).toMatchObject({
+      type: TEST_TYPES.SECURITY,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001', 'REQ-002'],
+      userStories: ['US-001'],
+      tags: ['auth', 'smoke'],
+      suites: ['TS-cypress/e2e/auth.cy.js > Auth', 'TS-cypress/e2e/auth.cy.js > Auth > Login']
+    });
+  });
+
+  test('should trace tests without link commands through suite metadata', () => {
+    tasks.addSuite({
+      id: 'TS-cypress/e2e/auth.cy.js > Auth',
+      title: 'Auth',
+      spec: 'cypress/e2e/auth.cy.js',
+      titlePath: ['Auth'],
+      requirements: ['REQ-001']
+    });
+
+    tasks.recordSpecResults({ relative: 'cypress/e2e/auth.cy.js' }, {
+      tests: [
+        { title: ['Auth', 'logs out'], state: 'passed', duration: 30, attempts: [{ state: 'passed' }] },
+        { title: ['Other', 'unrelated'], state: 'passed', duration: 30, attempts: [{ state: 'passed' }] }
+      ]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/auth.cy.js > Auth > logs out')).toMatchObject({
+      requirements: ['REQ-001'],
+      status: 'passed',
+      suites: ['TS-cypress/e2e/auth.cy.js > Auth']
+    });
+    expect(rtm.testCases.size).toBe(1);
+  });
+
+  test('should fail the run when quality gates are violated', async () => {
+    rtm.config.qualityGates = { minCoverage: 100 };
+
+    await expect(tasks.afterRun({})).rejects.toThrow('RTM quality gates failed');
+    expect(rtm.generateReports).toHaveBeenCalledWith({});
+  });
+
+  test('should complete the run when quality gates pass', async () => {
+    await expect(tasks.afterRun({})).resolves.toBeUndefined();
+  });
+
+  test('should import configured external results before generating reports', async () => {
+    rtm.config.externalResults = { path: 'reports/junit/*.xml', type: 'unit' };
+    rtm.importResults = jest.fn().mockResolvedValue({ errors: ['junit.xml: Auth > logs in: Invalid test case structure'] });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await tasks.afterRun({});
+
+    expect(rtm.importResults).toHaveBeenCalledWith('reports/junit/*.xml', { type: 'unit' });
+    expect(rtm.importResults.mock.invocationCallOrder[0]).toBeLessThan(rtm.generateReports.mock.invocationCallOrder[0]);
+    expect(warn).toHaveBeenCalledWith('RTM: junit.xml: Auth > logs in: Invalid test case structure');
+    warn.mockRestore();
+  });
+
+  test('should trace feature spec scenarios to their user story', () => {
+    rtm.userStories.set('US-012', {
+      id: 'US-012',
+      title: 'Guest checkout',
+      file: 'cypress/e2e/checkout.feature',
+      acceptanceCriteria: ['Pay by card'],
+      scenarios: [{ name: 'Pay by card', requirements: ['REQ-001', 'REQ-UNKNOWN'] }]
+    });
+
+    tasks.recordSpecResults({ relative: 'cypress/e2e/checkout.feature' }, {
+      tests: [{ title: ['Guest checkout', 'Pay by card'], state: 'passed', duration: 12, attempts: [{ state: 'passed' }] }]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/checkout.feature > Guest checkout > Pay by card')).toMatchObject({
+      userStories: ['US-012'],
+      requirements: ['REQ-001'],
+      criteria: { 'US-012': ['AC-1'] },
+      status: 'passed'
+    });
+  });
+
+  test('should trace Scenario Outline examples to their scenario', () => {
+    rtm.userStories.set('US-012', {
+      id: 'US-012',
+      title: 'Guest checkout',
+      file: 'cypress/e2e/checkout.feature',
+      acceptanceCriteria: ['Pay by card', 'Reject invalid card'],
+      scenarios: [
+        { name: 'Pay by card', requirements: [] },
+        { name: 'Reject invalid card', requirements: ['REQ-001'] }
+      ]
+    });
+
+    tasks.recordSpecResults({ relative: 'cypress/e2e/checkout.feature' }, {
+      tests: [{ title: ['Guest checkout', 'Reject invalid card (example #1)'], state: 'passed', duration: 8, attempts: [{ state: 'passed' }] }]
+    });
+
+    expect(rtm.testCases.get('TC-cypress/e2e/checkout.feature > Guest checkout > Reject invalid card (example #1)')).toMatchObject({
+      userStories: ['US-012'],
+      requirements: ['REQ-001'],
+      criteria: { 'US-012': ['AC-2'] }
+    });
+  });
+
+  test('should resolve retired requirements to their status', () => {
+    rtm.requirements.get('REQ-001').status = 'deprecated';
+    expect(tasks.validateRequirement('REQ-001')).toBe('deprecated');
+
+    rtm.requirements.get('REQ-001').status = 'approved';
+    expect(tasks.validateRequirement('REQ-001')).toBe(true);
+  });
+});
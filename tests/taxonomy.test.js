@@ -0,0 +1,68 @@
+// tests/taxonomy.test.js
+const { resolveTaxonomies, DEFAULT_TAXONOMIES } = require('../src/taxonomy');
+const { CypressRTM } = require('../src/core');
+const { REQUIREMENT_TYPES, TEST_PRIORITIES } = require('../src/constants');
+
+describe('Taxonomies', () => {
+  test('should default to the built-in values in their order', () => {
+    const taxonomies = resolveTaxonomies();
+
+    expect(taxonomies.requirementTypes.map(entry => entry.value)).toEqual(Object.values(REQUIREMENT_TYPES));
+    expect(taxonomies.testPriorities.find(entry => entry.default).value).toBe(TEST_PRIORITIES.P1);
+    expect(Object.keys(taxonomies)).toEqual(Object.keys(DEFAULT_TAXONOMIES));
+  });
+
+  test('should extend built-in values and override their labels', () => {
+    const { requirementTypes } = resolveTaxonomies({
+      requirementTypes: {
+        extend: [
+          'usability',
+          { value: 'regulatory', label: 'Regulatory', color: '#8250df' },
+          { value: REQUIREMENT_TYPES.SECURITY, label: 'InfoSec' }
+        ]
+      }
+    });
+
+    expect(requirementTypes.slice(-2)).toEqual([
+      { value: 'usability', label: 'usability', default: false },
+      { value: 'regulatory', label: 'Regulatory', color: '#8250df', default: false }
+    ]);
+    expect(requirementTypes.find(entry => entry.value === REQUIREMENT_TYPES.SECURITY).label).toBe('InfoSec');
+  });
+
+  test('should replace built-in values and pick a new default', () => {
+    const { testPriorities } = resolveTaxonomies({
+      testPriorities: { replace: ['p0', { value: 'p1', default: true }, 'p2'] }
+    });
+
+    expect(testPriorities.map(entry => [entry.value, entry.default])).toEqual([
+      ['p0', false],
+      ['p1', true],
+      ['p2', false]
+    ]);
+    expect(resolveTaxonomies({ testPriorities: { replace: ['p0', 'p1'] } }).testPriorities[0].default).toBe(true);
+  });
+
+  test('should reject unknown taxonomies and invalid entries', () => {
+    expect(() => resolveTaxonomies({ severities: {} })).toThrow('Unknown taxonomy severities');
+    expect(() => resolveTaxonomies({ testTypes: { replace: [{ label: 'No value' }] } }))
+      .toThrow('testTypes: Invalid taxonomy entry');
+    expect(() => new CypressRTM({ taxonomies: { testTypes: { replace: [] } } }))
+      .toThrow('Invalid taxonomy configuration: testTypes: Taxonomy has no values');
+  });
+
+  test('should validate requirements and test cases against the configured taxonomies', () => {
+    const rtm = new CypressRTM({
+      taxonomies: {
+        requirementTypes: { extend: ['contract'] },
+        testPriorities: { replace: ['p0', 'p1', 'p2'] }
+      }
+    });
+    rtm.requirements.set('REQ-001', { id: 'REQ-001', title: 'API contract', type: 'contract', priority: 'p1-high' });
+
+    expect(rtm.validateRequirement(rtm.requirements.get('REQ-001'))).toBe(true);
+    expect(rtm.validateTestCase({ id: 'TC-001', title: 'Test', type: 'api', priority: 'p0', requirements: ['REQ-001'] })).toBe(true);
+    expect(rtm.validateTestCase({ id: 'TC-001', title: 'Test', type: 'api', priority: TEST_PRIORITIES.P1 })).toBe(false);
+    expect(rtm.getDefaultTaxonomyValue('testPriorities')).toBe('p0');
+  });
+});
@@ -0,0 +1,111 @@
+// tests/validation.test.js
+const RTMValidator = require('../src/validation');
+const { CypressRTM } = require('../src/core');
+const {
+  TEST_TYPES,
+  TEST_PRIORITIES,
+  REQUIREMENT_TYPES,
+  REQUIREMENT_PRIORITIES
+} = require('../src/constants');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('RTMValidator', () => {
+  let rtm;
+
+  beforeEach(() => {
+    rtm = new CypressRTM();
+    rtm.requirements.set('REQ-001', {
+      id: 'REQ-001',
+      title: 'Login',
+      type: REQUIREMENT_TYPES.FUNCTIONAL,
+      priority: REQUIREMENT_PRIORITIES.P1
+    });
+  });
+
+  test('should report every problem of a requirement with its path', () => {
+    const errors = new RTMValidator(rtm).validateRequirement({
+      id: 'REQ-004',
+      type: 'legal',
+      priority: 'urgent',
+      tags: ['auth', 42],
+      acceptanceCriteria: ['Valid login', 7]
+    });
+
+    expect(errors).toEqual([
+      'REQ-004.title is required',
+      `REQ-004.type must be one of ${Object.values(REQUIREMENT_TYPES).join(', ')}`,
+      `REQ-004.priority must be one of ${Object.values(REQUIREMENT_PRIORITIES).join(', ')}`,
+      'REQ-004.acceptanceCriteria[1] has an invalid value',
+      'REQ-004.tags[1] must be string'
+    ]);
+  });
+
+  test('should report unknown requirement references of a test case', () => {
+    const errors = new RTMValidator(rtm).validateTestCase({
+      id: 'TC-001',
+      title: 'Login',
+      type: TEST_TYPES.E2E,
+      priority: TEST_PRIORITIES.P1,
+      requirements: ['REQ-001', 'REQ-999']
+    });
+
+    expect(errors).toEqual(['testCase.requirements[1] references unknown REQ-999']);
+  });
+
+  test('should add custom fields to the schemas', () => {
+    rtm.config.schemas = {
+      requirement: {
+        required: ['owner'],
+        properties: { owner: { type: 'string' }, jiraKey: { type: 'string', pattern: '^JIRA-\\d+$' } }
+      }
+    };
+
+    const errors = new RTMValidator(rtm).validateRequirement({
+      ...rtm.requirements.get('REQ-001'),
+      jiraKey: 'ABC-1'
+    });
+
+    expect(errors).toEqual([
+      'REQ-001.owner is required',
+      'REQ-001.jiraKey must match pattern "^JIRA-\\d+$"'
+    ]);
+  });
+
+  test('should list all problems when adding an invalid test case', () => {
+    expect.assertions(2);
+
+    try {
+      rtm.addTestCase({ id: 'TC-001', title: 'Login', type: 'manual', requirements: ['REQ-999'] });
+    } catch (error) {
+      expect(error.code).toBe('INVALID_TEST_CASE');
+      expect(error.errors).toEqual([
+        `testCase.type must be one of ${Object.values(TEST_TYPES).join(', ')}`,
+        'testCase.priority is required',
+        'testCase.requirements[0] references unknown REQ-999'
+      ]);
+    }
+  });
+
+  test('should collect problems of every requirement in the loaded files', async () => {
+    const file = path.join(__dirname, 'output-validation', 'requirements.json');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      'REQ-101': { title: 'First', type: 'functional', priority: 'p9' },
+      'REQ-102': { title: 'Second', type: 'legal', priority: 'p1-high' }
+    }));
+
+    const loader = new CypressRTM({ requirementsPath: file });
+    try {
+      const error = await loader.loadRequirements().catch(err => err);
+
+      expect(error.message).toContain(`Invalid requirements:\n  - ${file}: REQ-101.priority must be one of`);
+      expect(error.errors).toEqual([
+        expect.stringContaining('REQ-101.priority'),
+        expect.stringContaining('REQ-102.type')
+      ]);
+    } finally {
+      await fs.rm(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});